@@ -14,7 +14,7 @@ module AdminSuite
     layout "admin_suite/application"
 
     helper AdminSuite::BaseHelper
-    helper_method :admin_suite_actor, :navigation_items
+    helper_method :admin_suite_actor, :navigation_items, :docs_root
 
     private
 
@@ -103,6 +103,22 @@ module AdminSuite
       retry
     end
 
+    # Root of the markdown docs viewer (`config.docs_path`, Procs receive the
+    # controller).
+    #
+    # @return [Pathname]
+    def docs_root
+      value =
+        if AdminSuite.config.respond_to?(:docs_path)
+          AdminSuite.config.docs_path
+        else
+          Rails.root.join("docs")
+        end
+      value = value.call(self) if value.respond_to?(:call)
+      value = Rails.root.join("docs") if value.blank?
+      Pathname.new(value.to_s)
+    end
+
     # Builds the navigation structure from registered resources.
     #
     # @return [Hash]
@@ -0,0 +1,12 @@
+# frozen_string_literal: true
+
+module AdminSuite
+  # Serves the command palette's navigation and docs entries, fetched the first
+  # time the palette opens rather than rendered into every page.
+  class CommandPalettesController < ApplicationController
+    # GET /command_palette
+    def show
+      render json: helpers.admin_suite_command_palette_items
+    end
+  end
+end
@@ -118,18 +118,6 @@ module AdminSuite
       normalized.titleize
     end
 
-    def docs_root
-      value =
-        if AdminSuite.config.respond_to?(:docs_path)
-          AdminSuite.config.docs_path
-        else
-          Rails.root.join("docs")
-        end
-      value = value.call(self) if value.respond_to?(:call)
-      value = Rails.root.join("docs") if value.blank?
-      Pathname.new(value.to_s)
-    end
-
     def resolve_doc_path!(relative_path)
       raise DocNotFound if relative_path.blank?
       raise DocNotFound if relative_path.include?("..")
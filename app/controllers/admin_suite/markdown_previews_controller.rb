@@ -0,0 +1,22 @@
+# frozen_string_literal: true
+
+module AdminSuite
+  # Renders markdown editor previews with the same renderer as the docs viewer.
+  class MarkdownPreviewsController < ApplicationController
+    # POST /markdown_preview
+    def create
+      html = markdown_renderer.render(params[:markdown].to_s)
+
+      render html: html, layout: false
+    end
+
+    private
+
+    def markdown_renderer
+      AdminSuite::MarkdownRenderer
+    rescue NameError
+      require "admin_suite/markdown_renderer"
+      AdminSuite::MarkdownRenderer
+    end
+  end
+end
@@ -39,11 +39,20 @@ module AdminSuite
     end
 
     # PATCH/PUT /:portal/:resource_name/:id
+    #
+    # JSON requests (inline cell edits) get the submitted attributes back, or
+    # `{ errors: { attribute: [messages] } }` with a 422.
     def update
-      if @resource.update(resource_params)
-        redirect_to resource_url(@resource), notice: "#{resource_config.human_name} was successfully updated."
+      if @resource.update(resource_params.merge(attachment_removals))
+        respond_to do |format|
+          format.html { redirect_to resource_url(@resource), notice: "#{resource_config.human_name} was successfully updated." }
+          format.json { render json: @resource.slice(*resource_params.keys) }
+        end
       else
-        render :edit, status: :unprocessable_entity
+        respond_to do |format|
+          format.html { render :edit, status: :unprocessable_entity }
+          format.json { render json: { errors: @resource.errors.to_hash }, status: :unprocessable_entity }
+        end
       end
     end
 
@@ -74,16 +83,19 @@ module AdminSuite
     end
 
     # POST /:portal/:resource_name/bulk_action/:action_name
+    #
+    # Runs on the records in `ids[]`, or with `all_matching=1` on every record
+    # matching the filter/search params sent along.
     def bulk_action
       action = params[:action_name].to_s.to_sym
-      ids = params[:ids] || []
-      if ids.empty?
+      ids = Array(params[:ids]).compact_blank
+      all_matching = params[:all_matching] == "1"
+      if ids.empty? && !all_matching
         redirect_to collection_url, alert: "No items selected."
         return
       end
 
-      model = resource_class
-      records = model.where(id: ids)
+      records = all_matching ? filtered_collection : resource_class.where(id: ids)
       executor = Admin::Base::ActionExecutor.new(resource_config, action, admin_suite_actor)
       result = executor.execute_bulk(records, params.to_unsafe_h)
 
@@ -94,6 +106,22 @@ module AdminSuite
       end
     end
 
+    # POST /:portal/:resource_name/collection_action/:action_name
+    #
+    # Runs on the scope matching the filter/search params sent along.
+    def collection_action
+      action = params[:action_name].to_s.to_sym
+      executor = Admin::Base::ActionExecutor.new(resource_config, action, admin_suite_actor)
+      result = executor.execute_collection(filtered_collection, params.to_unsafe_h)
+      redirect_target = result.redirect_url.presence || collection_url
+
+      if result.success?
+        redirect_to redirect_target, notice: result.message
+      else
+        redirect_to collection_url, alert: result.message
+      end
+    end
+
     # POST /:portal/:resource_name/:id/toggle
     def toggle
       field = params[:field].presence&.to_sym
@@ -219,6 +247,8 @@ module AdminSuite
           else
             array_fields << { field.name => [] }
           end
+        elsif field.multiple && %i[file attachment image searchable_select].include?(field.type)
+          array_fields << { field.name => [] }
         else
           permitted_fields << field.name
         end
@@ -238,6 +268,27 @@ module AdminSuite
       params.require(resource_class.model_name.param_key).permit(permitted_fields + array_fields)
     end
 
+    # Single file fields with an existing attachment post
+    # `admin_suite_attachments[field]` as "keep", "replace" or "remove"; "remove"
+    # detaches the attachment unless a new file was submitted as well.
+    def attachment_removals
+      states = params[:admin_suite_attachments]
+      return {} unless states.respond_to?(:[])
+
+      submitted = resource_params
+      file_fields = resource_config&.form_config&.fields_list&.select do |field|
+        field.is_a?(Admin::Base::Resource::FieldDefinition) &&
+          %i[file attachment image].include?(field.type) && !field.multiple
+      end || []
+
+      file_fields.each_with_object({}) do |field, removals|
+        next unless states[field.name.to_s] == "remove"
+        next if submitted[field.name].present?
+
+        removals[field.name] = nil
+      end
+    end
+
     def toggleable_fields
       return [] unless resource_config
 
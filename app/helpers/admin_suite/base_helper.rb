@@ -28,6 +28,14 @@ module AdminSuite
       end
     end
 
+    def admin_suite_rails_direct_uploads_path(...)
+      if respond_to?(:main_app) && main_app.respond_to?(:rails_direct_uploads_path)
+        main_app.rails_direct_uploads_path(...)
+      else
+        rails_direct_uploads_path(...)
+      end
+    end
+
     # Logout path/method/label in the topbar are host-configurable.
     def admin_suite_logout_path
       value = AdminSuite.config.respond_to?(:logout_path) ? AdminSuite.config.logout_path : nil
@@ -148,6 +156,55 @@ module AdminSuite
       end
     end
 
+    # Inline edit settings for an `editable: true` column, or nil when its cells
+    # aren't editable: the form field it is edited with (same name, not
+    # readonly, single-valued; text, number, date or a select) and the cell
+    # data shared by every row. Select options are built here, once per column,
+    # not per cell. Other field types (textarea, markdown, files, tags...) would
+    # lose their value in a one-line input, so they are only edited in the form.
+    def admin_suite_inline_edit_column(column)
+      return unless column.editable
+
+      field = resource_config&.form_config&.fields_list&.find do |candidate|
+        candidate.is_a?(Admin::Base::Resource::FieldDefinition) &&
+          candidate.name.to_s == column.name.to_s && !candidate.readonly && !candidate.multiple
+      end
+      return unless field && %i[text string number date select searchable_select].include?(field.type)
+
+      type = field.type == :string ? :text : field.type
+      if %i[select searchable_select].include?(type)
+        collection = field.collection.is_a?(Proc) ? field.collection.call : field.collection
+        options = admin_suite_select_options(collection)
+      end
+
+      {
+        field: field,
+        type: type,
+        data: {
+          controller: "admin-suite--inline-edit",
+          action: "dblclick->admin-suite--inline-edit#edit keydown->admin-suite--inline-edit#keydown",
+          "admin-suite--inline-edit-field-value": field.name,
+          "admin-suite--inline-edit-type-value": type,
+          "admin-suite--inline-edit-options-value": options&.to_json,
+          "admin-suite--inline-edit-search-url-value": (collection if type == :searchable_select && collection.is_a?(String))
+        }
+      }
+    end
+
+    # Data attributes for an inline-editable index cell (`inline` from
+    # admin_suite_inline_edit_column).
+    def admin_suite_inline_edit_data(record, inline)
+      field = inline[:field]
+      value = record.public_send(field.name) rescue nil
+      value = value.to_date.iso8601 if inline[:type] == :date && value.respond_to?(:to_date)
+
+      inline[:data].merge(
+        "admin-suite--inline-edit-url-value": resource_path(portal: current_portal, resource_name: resource_name, id: record.to_param),
+        "admin-suite--inline-edit-param-value": "#{record.class.model_name.param_key}[#{field.name}]",
+        "admin-suite--inline-edit-value-value": value.to_s
+      )
+    end
+
     # Formats a value for display on show pages
     #
     # @param record [ActiveRecord::Base] The record
@@ -1017,11 +1074,9 @@ module AdminSuite
             f.select(field.name, collection, { include_blank: true }, class: field_class, disabled: field.readonly)
           when :searchable_select then render_searchable_select(f, field, resource)
           when :multi_select, :tags then render_multi_select(f, field, resource)
-          when :image, :attachment then render_file_upload(f, field, resource)
+          when :image, :attachment, :file then render_file_upload(f, field, resource)
           when :trix, :rich_text then f.rich_text_area(field.name, class: "prose max-w-none")
-          when :markdown
-            f.text_area(field.name, class: "#{field_class} font-mono", rows: field.rows || 12, data: { controller: "admin-suite--markdown-editor" }, placeholder: field.placeholder)
-          when :file then f.file_field(field.name, class: "form-input-file", accept: field.accept)
+          when :markdown then render_markdown_editor(f, field, resource, field_class)
           when :datetime then f.datetime_local_field(field.name, class: field_class, readonly: field.readonly)
           when :date then f.date_field(field.name, class: field_class, readonly: field.readonly)
           when :time then f.time_field(field.name, class: field_class, readonly: field.readonly)
@@ -1065,20 +1120,50 @@ module AdminSuite
       end
     end
 
+    # Normalizes a searchable select collection into option hashes
+    # (`value`, `label` and optional `group`, `description`, `avatar`).
+    # Accepts `[label, value]` pairs, plain values, option hashes, and
+    # `{ "Group" => [...] }` for grouped options.
+    def admin_suite_select_options(collection)
+      case collection
+      when Hash
+        collection.flat_map do |group, options|
+          admin_suite_select_options(Array(options)).map { |opt| { group: group.to_s }.merge(opt) }
+        end
+      when Array
+        collection.map do |opt|
+          case opt
+          when Array
+            { value: opt[1], label: opt[0].to_s }
+          when Hash
+            opt = opt.symbolize_keys
+            {
+              value: opt.key?(:value) ? opt[:value] : opt[:id],
+              label: (opt[:label] || opt[:name] || opt[:title]).to_s,
+              group: opt[:group]&.to_s,
+              description: opt[:description],
+              avatar: opt[:avatar]
+            }.compact
+          else
+            { value: opt, label: opt.to_s.humanize }
+          end
+        end
+      else
+        []
+      end
+    end
+
     def render_searchable_select(_f, field, resource)
       param_key = resource.class.model_name.param_key
       current_value = resource.public_send(field.name)
       collection = field.collection.is_a?(Proc) ? field.collection.call : field.collection
+      options = admin_suite_select_options(collection)
 
-      options_json = if collection.is_a?(Array)
-        collection.map { |opt| opt.is_a?(Array) ? { value: opt[1], label: opt[0] } : { value: opt, label: opt.to_s.humanize } }.to_json
-      else
-        "[]"
-      end
+      return render_searchable_multi_select(field, resource, options, collection) if field.multiple
 
-      current_label = if current_value.present? && collection.is_a?(Array)
-        match = collection.find { |opt| opt.is_a?(Array) ? opt[1].to_s == current_value.to_s : opt.to_s == current_value.to_s }
-        match.is_a?(Array) ? match[0] : match.to_s
+      current_label = if current_value.present? && (collection.is_a?(Array) || collection.is_a?(Hash))
+        match = options.find { |opt| opt[:value].to_s == current_value.to_s }
+        match ? match[:label] : current_value.to_s
       elsif current_value.present? && collection.is_a?(String)
         association_name = field.name.to_s.sub(/_id\z/, "")
         assoc = resource.public_send(association_name) if resource.respond_to?(association_name)
@@ -1096,10 +1181,12 @@ module AdminSuite
       content_tag(:div,
         data: {
           controller: "admin-suite--searchable-select",
-          "admin-suite--searchable-select-options-value": options_json,
+          "admin-suite--searchable-select-options-value": options.to_json,
           "admin-suite--searchable-select-creatable-value": field.create_url.present?,
           "admin-suite--searchable-select-search-url-value": collection.is_a?(String) ? collection : "",
-          "admin-suite--searchable-select-create-url-value": field.create_url.to_s
+          "admin-suite--searchable-select-create-url-value": field.create_url.to_s,
+          "admin-suite--searchable-select-create-fields-value": admin_suite_create_fields(field).to_json,
+          "admin-suite--searchable-select-create-param-value": field.create_param
         },
         class: "relative") do
         concat(hidden_field_tag("#{param_key}[#{field.name}]", current_value, data: { "admin-suite--searchable-select-target": "input" }))
@@ -1117,6 +1204,103 @@ module AdminSuite
       end
     end
 
+    def render_searchable_multi_select(field, resource, options, collection)
+      field_name = "#{resource.class.model_name.param_key}[#{field.name}][]"
+      selected = admin_suite_searchable_selection(field, resource, options, collection)
+
+      content_tag(:div,
+        data: {
+          controller: "admin-suite--searchable-select",
+          "admin-suite--searchable-select-options-value": options.to_json,
+          "admin-suite--searchable-select-creatable-value": field.create_url.present?,
+          "admin-suite--searchable-select-search-url-value": collection.is_a?(String) ? collection : "",
+          "admin-suite--searchable-select-create-url-value": field.create_url.to_s,
+          "admin-suite--searchable-select-create-fields-value": admin_suite_create_fields(field).to_json,
+          "admin-suite--searchable-select-create-param-value": field.create_param,
+          "admin-suite--searchable-select-multiple-value": true,
+          "admin-suite--searchable-select-field-name-value": field_name,
+          "admin-suite--searchable-select-max-selections-value": field.max_selections
+        },
+        class: "relative") do
+        concat(hidden_field_tag(field_name, "", id: nil))
+        concat(content_tag(:div, class: "form-input w-full flex flex-wrap items-center gap-2 min-h-[42px]") do
+          selected.each do |option|
+            concat(content_tag(:span,
+              class: "inline-flex items-center gap-1 px-2 py-1 bg-indigo-100 text-indigo-700 rounded text-sm focus:outline-none focus:ring-2 focus:ring-indigo-500",
+              tabindex: -1,
+              data: {
+                value: option[:value].to_s,
+                label: option[:label],
+                "admin-suite--searchable-select-target": "chip",
+                action: "keydown->admin-suite--searchable-select#chipKeydown"
+              }) do
+              concat(content_tag(:span, option[:label]))
+              concat(hidden_field_tag(field_name, option[:value], id: nil))
+              concat(button_tag("×", type: "button", tabindex: -1,
+                class: "text-indigo-500 hover:text-indigo-700 font-bold",
+                "aria-label": "Remove #{option[:label]}",
+                data: { action: "click->admin-suite--searchable-select#removeChip" }))
+            end)
+          end
+          concat(text_field_tag(nil, nil,
+            class: "flex-1 min-w-[8rem] border-0 p-0 focus:ring-0 bg-transparent text-sm",
+            placeholder: field.placeholder || "Search...",
+            autocomplete: "off",
+            data: {
+              "admin-suite--searchable-select-target": "search",
+              action: "input->admin-suite--searchable-select#search focus->admin-suite--searchable-select#open keydown->admin-suite--searchable-select#keydown"
+            }))
+        end)
+        concat(content_tag(:div, "",
+          class: "absolute z-40 w-full mt-1 bg-white dark:bg-slate-800 border border-slate-200 dark:border-slate-700 rounded-lg shadow-lg hidden max-h-60 overflow-y-auto",
+          data: { "admin-suite--searchable-select-target": "dropdown" }))
+      end
+    end
+
+    # Field specs for the searchable select's inline create form. Entries are
+    # attribute names or Hashes with `name:` plus optional `label:`, `type:`
+    # (:text, :email, :number, :url, :tel, :date, :textarea, :select),
+    # `required:`, `placeholder:` and `collection:` (for :select).
+    def admin_suite_create_fields(field)
+      Array(field.create_fields).map do |spec|
+        spec = spec.is_a?(Hash) ? spec.symbolize_keys : { name: spec }
+        collection = spec[:collection].is_a?(Proc) ? spec[:collection].call : spec[:collection]
+
+        {
+          name: spec[:name].to_s,
+          label: (spec[:label] || spec[:name].to_s.humanize).to_s,
+          type: (spec[:type] || :text).to_s,
+          required: spec[:required] || false,
+          placeholder: spec[:placeholder],
+          options: (admin_suite_select_options(collection) if collection)
+        }.compact
+      end
+    end
+
+    # `{ value:, label: }` for each current value of a multiple searchable
+    # select. Labels come from the static options, or for a search URL from the
+    # association behind `*_ids` (its `name`/`title`).
+    def admin_suite_searchable_selection(field, resource, options, collection)
+      values = Array.wrap(resource.public_send(field.name)).reject(&:blank?)
+      return [] if values.empty?
+
+      records =
+        if collection.is_a?(String)
+          association_name = field.name.to_s.sub(/_ids\z/, "").pluralize
+          resource.respond_to?(association_name) ? Array.wrap(resource.public_send(association_name)) : []
+        else
+          []
+        end
+
+      values.map do |value|
+        match = options.find { |opt| opt[:value].to_s == value.to_s }
+        record = records.find { |r| r.respond_to?(:id) && r.id.to_s == value.to_s }
+        label = match&.dig(:label) || record.try(:name).presence || record.try(:title).presence || value.to_s
+
+        { value: value, label: label.to_s }
+      end
+    end
+
     def render_multi_select(_f, field, resource)
       param_key = resource.class.model_name.param_key
       current_values =
@@ -1151,12 +1335,20 @@ module AdminSuite
           field.name
         end
       full_field_name = "#{param_key}[#{field_name}][]"
+      suggestions_url = field.collection if field.collection.is_a?(String)
+      # The controller anchors the pattern itself; drop Ruby-only anchors.
+      pattern = field.pattern.is_a?(Regexp) ? field.pattern.source.delete_prefix("\\A").delete_suffix("\\z") : field.pattern
 
       content_tag(:div,
         data: {
           controller: "admin-suite--tag-select",
           "admin-suite--tag-select-creatable-value": field.create_url.present? || field.type == :tags,
-          "admin-suite--tag-select-field-name-value": full_field_name
+          "admin-suite--tag-select-field-name-value": full_field_name,
+          "admin-suite--tag-select-suggestions-url-value": suggestions_url,
+          "admin-suite--tag-select-max-tags-value": field.max_selections,
+          "admin-suite--tag-select-max-length-value": field.max_length,
+          "admin-suite--tag-select-pattern-value": pattern,
+          "admin-suite--tag-select-normalize-case-value": field.normalize_case
         },
         class: "space-y-2") do
         concat(hidden_field_tag(full_field_name, "", id: nil, data: { "admin-suite--tag-select-target": "placeholder" }))
@@ -1166,20 +1358,35 @@ module AdminSuite
           data: { "admin-suite--tag-select-target": "tags" }) do
             current_values.each do |val|
               concat(content_tag(:span,
-                class: "inline-flex items-center gap-1 px-2 py-1 bg-indigo-100 text-indigo-700 rounded text-sm") do
-                  concat(val.to_s)
+                class: "inline-flex items-center gap-1 px-2 py-1 bg-indigo-100 text-indigo-700 rounded text-sm cursor-move focus:outline-none focus:ring-2 focus:ring-indigo-500",
+                tabindex: -1,
+                draggable: "true",
+                data: {
+                  "admin-suite--tag-select-target": "tag",
+                  action: %w[
+                    keydown->admin-suite--tag-select#tagKeydown
+                    dblclick->admin-suite--tag-select#edit
+                    dragstart->admin-suite--tag-select#dragStart
+                    dragover->admin-suite--tag-select#dragOver
+                    drop->admin-suite--tag-select#drop
+                    dragend->admin-suite--tag-select#dragEnd
+                  ].join(" ")
+                }) do
+                  concat(content_tag(:span, val.to_s))
                   concat(hidden_field_tag(full_field_name, val, id: nil))
-                  concat(button_tag("×", type: "button", class: "text-indigo-500 hover:text-indigo-700 font-bold", data: { action: "admin-suite--tag-select#remove" }))
+                  concat(button_tag("×", type: "button", tabindex: -1, class: "text-indigo-500 hover:text-indigo-700 font-bold", "aria-label": "Remove #{val}", data: { action: "admin-suite--tag-select#remove" }))
                 end)
             end
             concat(text_field_tag(nil, "",
               class: "flex-1 min-w-[120px] border-none focus:outline-none focus:ring-0 bg-transparent text-sm",
               placeholder: field.placeholder || "Add tag...",
               autocomplete: "off",
-              data: { "admin-suite--tag-select-target": "input", action: "keydown->admin-suite--tag-select#keydown input->admin-suite--tag-select#search" }))
+              data: { "admin-suite--tag-select-target": "input", action: "keydown->admin-suite--tag-select#keydown input->admin-suite--tag-select#search paste->admin-suite--tag-select#paste" }))
           end)
 
-        if options.any?
+        concat(content_tag(:p, "", class: "hidden text-xs text-red-600", data: { "admin-suite--tag-select-target": "feedback" }))
+
+        if options.any? || suggestions_url
           concat(content_tag(:div,
             class: "hidden border border-slate-200 rounded-lg bg-white shadow-lg max-h-48 overflow-y-auto",
             data: { "admin-suite--tag-select-target": "dropdown" }) do
@@ -1199,6 +1406,9 @@ module AdminSuite
       attachment = resource.respond_to?(field.name) ? resource.public_send(field.name) : nil
       has_attachment = attachment.respond_to?(:attached?) && attachment.attached?
       is_image = field.type == :image || (field.accept.present? && field.accept.include?("image"))
+      return render_multiple_file_upload(f, field, attachment, has_attachment, is_image) if field.multiple
+
+      image_editor = field.type == :image && (field.image_editor || field.aspect_ratio.present? || field.max_dimension.present?)
       existing_url =
         if has_attachment && is_image
           variant = attachment.variant(resize_to_limit: [ 300, 300 ])
@@ -1214,7 +1424,14 @@ module AdminSuite
           controller: "admin-suite--file-upload",
           "admin-suite--file-upload-accept-value": field.accept || (is_image ? "image/*" : "*/*"),
           "admin-suite--file-upload-preview-value": field.type == :image,
-          "admin-suite--file-upload-existing-url-value": existing_url
+          "admin-suite--file-upload-existing-url-value": existing_url,
+          "admin-suite--file-upload-max-size-value": field.max_size,
+          "admin-suite--file-upload-direct-upload-url-value": (admin_suite_rails_direct_uploads_path if field.direct_upload),
+          "admin-suite--file-upload-image-editor-value": image_editor,
+          "admin-suite--file-upload-aspect-ratio-value": field.aspect_ratio&.to_s,
+          "admin-suite--file-upload-max-dimension-value": field.max_dimension,
+          "admin-suite--file-upload-quality-value": field.quality,
+          "admin-suite--file-upload-verify-content-value": field.verify_content
         },
         class: "space-y-3") do
         if has_attachment && is_image
@@ -1225,12 +1442,28 @@ module AdminSuite
               data: { "admin-suite--file-upload-target": "removeButton", action: "admin-suite--file-upload#remove" }))
           end)
         else
+          if has_attachment
+            concat(content_tag(:div, class: "flex items-center gap-2 text-sm", data: { "admin-suite--file-upload-target": "existingFile" }) do
+              concat(content_tag(:span, attachment.filename.to_s, class: "font-medium text-slate-900"))
+              concat(content_tag(:span, "(#{number_to_human_size(attachment.byte_size)})", class: "text-slate-500"))
+              concat(button_tag("Remove", type: "button",
+                class: "text-xs font-medium text-red-600 hover:text-red-700",
+                data: { "admin-suite--file-upload-target": "removeButton", action: "admin-suite--file-upload#remove" }))
+            end)
+          end
           concat(image_tag("", class: "hidden max-w-[200px] max-h-[150px] rounded-lg border border-slate-200 object-cover", data: { "admin-suite--file-upload-target": "imagePreview" }))
           concat(content_tag(:div, "", class: "hidden", data: { "admin-suite--file-upload-target": "filename" }))
         end
 
+        # keep / replace / remove, read by ResourcesController#attachment_removals.
+        concat(hidden_field_tag("admin_suite_attachments[#{field.name}]", "keep", id: nil, data: { "admin-suite--file-upload-target": "state" })) if has_attachment
+
+        concat(content_tag(:div, "", class: "hidden", data: { "admin-suite--file-upload-target": "progress" })) if field.direct_upload
+        concat(content_tag(:div, "", class: "hidden p-3 bg-slate-50 border border-slate-200 rounded-lg", data: { "admin-suite--file-upload-target": "editor" })) if image_editor
+
         concat(content_tag(:div,
-          class: "relative border-2 border-dashed border-slate-300 rounded-lg hover:border-indigo-400 transition-colors",
+          class: "relative border-2 border-dashed border-slate-300 rounded-lg hover:border-indigo-400 focus:outline-none focus:border-indigo-500 transition-colors",
+          tabindex: 0,
           data: { "admin-suite--file-upload-target": "dropzone" }) do
             concat(f.file_field(field.name,
               class: "sr-only",
@@ -1241,15 +1474,216 @@ module AdminSuite
             concat(content_tag(:label, for: "#{field.name}_input",
               class: "flex flex-col items-center justify-center w-full py-6 cursor-pointer hover:bg-slate-50 rounded-lg transition-colors") do
                 concat('<svg class="w-8 h-8 text-slate-400 mb-2" fill="none" stroke="currentColor" viewBox="0 0 24 24"><path stroke-linecap="round" stroke-linejoin="round" stroke-width="2" d="M7 16a4 4 0 01-.88-7.903A5 5 0 1115.9 6L16 6a5 5 0 011 9.9M15 13l-3-3m0 0l-3 3m3-3v12"/></svg>'.html_safe)
-                concat(content_tag(:span, "Click to upload or drag and drop", class: "text-sm text-slate-500"))
-                concat(content_tag(:span, "PNG, JPG, WebP up to 10MB", class: "text-xs text-slate-400 mt-1")) if is_image
+                concat(content_tag(:span, "Click to upload, drag and drop, or paste", class: "text-sm text-slate-500"))
+                concat(content_tag(:span, "PNG, JPG, WebP up to #{number_to_human_size(field.max_size || 10.megabytes)}", class: "text-xs text-slate-400 mt-1")) if is_image
+              end)
+          end)
+      end
+    end
+
+    # `multiple: true` file fields (has_many_attached). Existing attachments are
+    # re-submitted as signed ids so they survive Rails' replace-on-assign; removing
+    # one from the list drops it on save.
+    def render_multiple_file_upload(f, field, attachment, has_attachment, is_image)
+      input_id = "#{field.name}_input"
+      attachments = has_attachment ? attachment.attachments : []
+
+      content_tag(:div,
+        data: {
+          controller: "admin-suite--file-upload",
+          "admin-suite--file-upload-accept-value": field.accept || (is_image ? "image/*" : "*/*"),
+          "admin-suite--file-upload-multiple-value": true,
+          "admin-suite--file-upload-verify-content-value": field.verify_content,
+          "admin-suite--file-upload-max-files-value": field.max_files,
+          "admin-suite--file-upload-max-size-value": field.max_size,
+          "admin-suite--file-upload-direct-upload-url-value": (admin_suite_rails_direct_uploads_path if field.direct_upload)
+        },
+        class: "space-y-3") do
+        if attachments.any?
+          concat(content_tag(:ul, class: "space-y-2") do
+            attachments.each { |existing| concat(render_existing_file_item(f, field, existing)) }
+          end)
+        end
+
+        concat(content_tag(:ul, "", class: "hidden space-y-2", data: { "admin-suite--file-upload-target": "list" }))
+        concat(content_tag(:div, "", class: "hidden text-sm text-red-600 space-y-1", role: "alert", data: { "admin-suite--file-upload-target": "errors" }))
+
+        concat(content_tag(:div,
+          class: "relative border-2 border-dashed border-slate-300 rounded-lg hover:border-indigo-400 focus:outline-none focus:border-indigo-500 transition-colors",
+          tabindex: 0,
+          data: { "admin-suite--file-upload-target": "dropzone" }) do
+            concat(f.file_field(field.name,
+              multiple: true,
+              class: "sr-only",
+              id: input_id,
+              accept: field.accept || (is_image ? "image/*" : nil),
+              data: { "admin-suite--file-upload-target": "input", action: "change->admin-suite--file-upload#preview" }))
+
+            concat(content_tag(:label, for: input_id,
+              class: "flex flex-col items-center justify-center w-full py-6 cursor-pointer hover:bg-slate-50 rounded-lg transition-colors") do
+                concat('<svg class="w-8 h-8 text-slate-400 mb-2" fill="none" stroke="currentColor" viewBox="0 0 24 24"><path stroke-linecap="round" stroke-linejoin="round" stroke-width="2" d="M7 16a4 4 0 01-.88-7.903A5 5 0 1115.9 6L16 6a5 5 0 011 9.9M15 13l-3-3m0 0l-3 3m3-3v12"/></svg>'.html_safe)
+                concat(content_tag(:span, "Click to upload, drag and drop, or paste files", class: "text-sm text-slate-500"))
+                hint = [ ("Up to #{field.max_files} files" if field.max_files), "#{number_to_human_size(field.max_size || 10.megabytes)} each" ].compact.join(", ")
+                concat(content_tag(:span, hint, class: "text-xs text-slate-400 mt-1"))
               end)
           end)
       end
     end
 
-    def render_code_editor(f, field, _resource)
-      content_tag(:div, class: "relative", data: { controller: "admin-suite--code-editor" }) do
+    def render_existing_file_item(f, field, existing)
+      content_tag(:li,
+        class: "flex items-center gap-3 p-2 bg-white border border-slate-200 rounded-lg",
+        data: { "admin-suite--file-upload-target": "existingItem" }) do
+        concat(hidden_field_tag("#{f.object_name}[#{field.name}][]", existing.signed_id, id: nil))
+
+        if existing.image?
+          thumbnail_url =
+            begin
+              admin_suite_rails_blob_representation_path(existing.variant(resize_to_limit: [ 120, 120 ]).processed, only_path: true)
+            rescue StandardError
+              admin_suite_rails_blob_path(existing.blob, disposition: :inline)
+            end
+          concat(image_tag(thumbnail_url, alt: "", class: "w-10 h-10 rounded object-cover border border-slate-200"))
+        else
+          concat(content_tag(:span, existing.filename.extension.to_s.first(4).presence || "file",
+            class: "w-10 h-10 rounded bg-slate-100 flex items-center justify-center text-[10px] font-semibold uppercase text-slate-500"))
+        end
+
+        concat(content_tag(:div, class: "flex-1 min-w-0") do
+          concat(content_tag(:p, existing.filename.to_s, class: "text-sm font-medium text-slate-900 truncate"))
+          concat(content_tag(:p, number_to_human_size(existing.byte_size), class: "text-xs text-slate-500"))
+        end)
+
+        concat(button_tag("×", type: "button",
+          class: "w-6 h-6 flex items-center justify-center rounded-full text-slate-400 hover:text-white hover:bg-red-500",
+          "aria-label": "Remove #{existing.filename}",
+          data: { action: "admin-suite--file-upload#removeExisting" }))
+      end
+    end
+
+    def render_markdown_editor(f, field, resource, field_class)
+      saved_at = resource.respond_to?(:updated_at) ? resource.updated_at : nil
+
+      content_tag(:div,
+        data: {
+          controller: "admin-suite--markdown-editor",
+          "admin-suite--markdown-editor-draft-key-value": admin_suite_draft_key(resource, field),
+          "admin-suite--markdown-editor-saved-at-value": saved_at ? (saved_at.to_f * 1000).to_i : 0,
+          "admin-suite--markdown-editor-upload-url-value": admin_suite_markdown_upload_url(field),
+          "admin-suite--markdown-editor-accept-value": field.accept.presence,
+          "admin-suite--markdown-editor-max-size-value": field.max_size,
+          "admin-suite--markdown-editor-toolbar-value": field.toolbar == false ? [] : field.toolbar,
+          "admin-suite--markdown-editor-status-value": field.status_bar == false ? [] : field.status_bar,
+          "admin-suite--markdown-editor-placeholder-value": field.placeholder,
+          "admin-suite--markdown-editor-min-height-value": field.height,
+          "admin-suite--markdown-editor-preview-url-value": (markdown_preview_path if field.server_preview)
+        }) do
+        f.text_area(field.name,
+          class: "#{field_class} font-mono",
+          rows: field.rows || 12,
+          placeholder: field.placeholder,
+          data: { "admin-suite--markdown-editor-target": "textarea" })
+      end
+    end
+
+    # Image upload endpoint for a markdown field (field `upload_url:` first,
+    # then `config.markdown_upload_url`). Procs receive the view context.
+    def admin_suite_markdown_upload_url(field)
+      value = field.upload_url
+      value = AdminSuite.config.markdown_upload_url if value.nil? && AdminSuite.config.respond_to?(:markdown_upload_url)
+      resolve_admin_suite_view_config(value).presence
+    end
+
+    # Saved index views are stored in the browser per portal and resource, and
+    # optionally on the server at `config.saved_views_url` (Procs receive the
+    # view context).
+    def admin_suite_saved_views_key
+      [ current_portal, resource_name ].compact.join(":")
+    end
+
+    def admin_suite_saved_views_url
+      value = AdminSuite.config.saved_views_url if AdminSuite.config.respond_to?(:saved_views_url)
+      resolve_admin_suite_view_config(value).presence
+    end
+
+    # Navigation and docs entries of the Cmd/Ctrl+K command palette, as
+    # `{ label, group, url, hint }` (served by the command palette endpoint).
+    def admin_suite_command_palette_items
+      items = [ { label: "Dashboard", group: "Navigation", url: root_path } ]
+
+      navigation_items.sort_by { |(_key, meta)| (meta[:order] || 100).to_i }.each do |portal_key, portal|
+        items << { label: portal[:label].to_s, group: "Portals", url: portal_path(portal: portal_key) }
+
+        portal[:sections].sort_by { |(_key, section)| section[:label].to_s }.each do |_section_key, section|
+          section[:items].sort_by { |item| [ (item[:order] || 100).to_i, item[:label].to_s ] }.each do |item|
+            items << { label: item[:label].to_s, group: "Resources", url: item[:path].to_s, hint: "#{portal[:label]} › #{section[:label]}" }
+          end
+        end
+      end
+
+      items + admin_suite_command_palette_docs
+    end
+
+    def admin_suite_command_palette_docs
+      docs = AdminSuite.config.docs_url
+      docs_url = docs.respond_to?(:call) ? docs.call(self) : docs
+      return [ { label: "Docs", group: "Docs", url: docs_url } ] if docs_url.present?
+
+      root = docs_root
+      return [ { label: "Docs", group: "Docs", url: docs_path } ] unless root.directory?
+
+      root = root.realpath
+      pages = Dir.glob(root.join("**/*.md")).sort.map do |file|
+        path = Pathname.new(file).relative_path_from(root).to_s
+        title = File.basename(path, ".md").tr("_", " ").tr("-", " ").titleize
+        { label: title, group: "Docs", url: doc_path(path), hint: path }
+      end
+
+      [ { label: "Docs", group: "Docs", url: docs_path } ] + pages
+    end
+
+    # The current resource's collection actions (rendered with the page, as
+    # palette entries with `method` and `confirm`); the palette posts the
+    # filters in the URL when it runs one.
+    def admin_suite_command_palette_actions
+      return [] unless respond_to?(:resource_config) && resource_config&.actions_config
+
+      resource_config.actions_config.collection_actions.map do |action_def|
+        {
+          label: action_def.label,
+          group: "Actions",
+          url: collection_action_path(portal: current_portal, resource_name: resource_name, action_name: action_def.name),
+          hint: resource_config.human_name_plural,
+          method: "post",
+          confirm: action_def.confirm.presence
+        }.compact
+      end
+    end
+
+    # Whether the index is showing exactly `view_params` (ignoring the page, and
+    # the sort unless the view sets one); matches the live filter's viewMatches.
+    def admin_suite_view_active?(view_params)
+      ignored = [ "page" ] + (%w[sort direction] - view_params.keys)
+      current = request.query_parameters.except(*ignored).reject { |_, value| value.blank? }
+      current.to_query == view_params.reject { |_, value| value.blank? }.to_query
+    end
+
+    # Browser-side draft storage key for a form field (per resource, record and field).
+    def admin_suite_draft_key(resource, field)
+      record_key = resource.respond_to?(:persisted?) && resource.persisted? ? resource.to_param : "new"
+      [ resource.class.model_name.param_key, record_key, field.name ].join(":")
+    end
+
+    def render_code_editor(f, field, resource)
+      current_value = resource.respond_to?(field.name) ? resource.public_send(field.name).to_s : ""
+      language = field.language.presence || detect_language(field.name, current_value)
+
+      content_tag(:div,
+        class: "relative admin-suite-code-editor",
+        data: {
+          controller: "admin-suite--code-editor",
+          "admin-suite--code-editor-language-value": language.to_s
+        }) do
         f.text_area(field.name,
           class: "w-full font-mono text-sm bg-slate-900 text-slate-100 p-4 rounded-lg border border-slate-700 focus:border-indigo-500 focus:ring-1 focus:ring-indigo-500",
           rows: field.rows || 12,
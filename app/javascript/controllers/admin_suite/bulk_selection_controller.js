@@ -0,0 +1,222 @@
+import { Controller } from "@hotwired/stimulus"
+
+/**
+ * Bulk Selection Controller (Admin Suite)
+ *
+ * Selection model for the resource index's bulk actions. Row `checkbox`
+ * targets (value = record id) are rendered inside the results frame while the
+ * controller sits outside it, so the selected ids survive pagination and
+ * filter refreshes: re-rendered rows are checked again from the selection.
+ *
+ * - `pageToggle` selects or clears every row on the page (indeterminate when
+ *   only some are selected); shift-clicking a row applies its state to the
+ *   range since the previously clicked row.
+ * - When the whole page is selected and the `results` target reports more
+ *   matching records (`data-total`), `matchingPrompt` offers to select all of
+ *   them. The selection then stands for the filter query (`data-query`) rather
+ *   than ids, until a row is cleared or the filters change.
+ * - The sticky `bar` shows the selection count and the `action` buttons
+ *   (`data-url`, `data-label`, `data-confirm`, `data-destructive`). Running
+ *   one POSTs `ids[]` (or `all_matching=1` with the filter query) to its URL;
+ *   destructive actions and actions with a `confirm:` message ask first.
+ */
+export default class extends Controller {
+  static targets = ["checkbox", "pageToggle", "results", "bar", "count", "matchingPrompt", "action"]
+
+  // Target callbacks run before `connect`, so state is set up here.
+  initialize() {
+    this.selected = new Set()
+    this.matching = false
+    this.matchingQuery = null
+    this.lastIndex = null
+  }
+
+  connect() {
+    this.update()
+  }
+
+  disconnect() {
+    this.submitForm?.remove()
+  }
+
+  checkboxTargetConnected(checkbox) {
+    checkbox.checked = this.matching || this.selected.has(checkbox.value)
+    this.update()
+  }
+
+  checkboxTargetDisconnected() {
+    this.lastIndex = null
+  }
+
+  pageToggleTargetConnected() {
+    this.update()
+  }
+
+  // A new page or filter state was rendered into the frame.
+  resultsTargetConnected(results) {
+    if (this.matching && results.dataset.query !== this.matchingQuery) {
+      this.matching = false
+      this.matchingQuery = null
+      this.checkboxTargets.forEach((checkbox) => {
+        checkbox.checked = this.selected.has(checkbox.value)
+      })
+    }
+
+    this.update()
+  }
+
+  get total() {
+    return this.hasResultsTarget ? Number(this.resultsTarget.dataset.total) || 0 : 0
+  }
+
+  get count() {
+    return this.matching ? this.total : this.selected.size
+  }
+
+  // Row checkbox click handler.
+  toggle(event) {
+    const checkbox = event.currentTarget
+    const index = this.checkboxTargets.indexOf(checkbox)
+
+    if (event.shiftKey && this.lastIndex !== null && index !== -1) {
+      const start = Math.min(this.lastIndex, index)
+      const end = Math.max(this.lastIndex, index)
+      this.checkboxTargets.slice(start, end + 1).forEach((box) => {
+        box.checked = checkbox.checked
+      })
+    }
+
+    this.lastIndex = index === -1 ? null : index
+    if (!checkbox.checked) this.matching = false
+
+    this.syncPage()
+    this.update()
+  }
+
+  togglePage(event) {
+    const checked = event.currentTarget.checked
+    this.checkboxTargets.forEach((checkbox) => {
+      checkbox.checked = checked
+    })
+
+    if (!checked) this.matching = false
+    this.syncPage()
+    this.update()
+  }
+
+  selectMatching() {
+    this.checkboxTargets.forEach((checkbox) => {
+      checkbox.checked = true
+    })
+    this.syncPage()
+
+    this.matching = true
+    this.matchingQuery = this.hasResultsTarget ? this.resultsTarget.dataset.query || "" : ""
+    this.update()
+  }
+
+  clear() {
+    this.selected.clear()
+    this.matching = false
+    this.matchingQuery = null
+    this.checkboxTargets.forEach((checkbox) => {
+      checkbox.checked = false
+    })
+    this.update()
+  }
+
+  // Copies the page's checkbox states into the selected ids.
+  syncPage() {
+    this.checkboxTargets.forEach((checkbox) => {
+      if (checkbox.checked) {
+        this.selected.add(checkbox.value)
+      } else {
+        this.selected.delete(checkbox.value)
+      }
+    })
+  }
+
+  update() {
+    const boxes = this.checkboxTargets
+    const checked = boxes.filter((checkbox) => checkbox.checked).length
+    const wholePage = boxes.length > 0 && checked === boxes.length
+
+    this.pageToggleTargets.forEach((toggle) => {
+      toggle.checked = wholePage
+      toggle.indeterminate = checked > 0 && !wholePage
+    })
+
+    const count = this.count
+    if (this.hasBarTarget) this.barTarget.classList.toggle("hidden", count === 0)
+
+    if (this.hasCountTarget) {
+      this.countTarget.textContent = this.matching
+        ? `All ${formatNumber(count)} matching selected`
+        : `${formatNumber(count)} selected`
+    }
+
+    if (this.hasMatchingPromptTarget) {
+      const offer = !this.matching && wholePage && this.total > this.selected.size
+      this.matchingPromptTarget.classList.toggle("hidden", !offer)
+      this.matchingPromptTarget.textContent = `Select all ${formatNumber(this.total)} matching`
+    }
+
+    this.actionTargets.forEach((button) => {
+      button.disabled = count === 0
+    })
+  }
+
+  // Action button click handler.
+  run(event) {
+    event.preventDefault()
+
+    const button = event.currentTarget
+    const count = this.count
+    if (!count || !button.dataset.url) return
+
+    const form = document.createElement("form")
+    form.method = "post"
+    form.action = button.dataset.url
+    form.hidden = true
+    form.dataset.turboFrame = "_top"
+
+    const message = confirmMessage(button, count)
+    if (message) form.dataset.turboConfirm = message
+
+    const csrfToken = document.querySelector('meta[name="csrf-token"]')?.content
+    if (csrfToken) appendHidden(form, "authenticity_token", csrfToken)
+
+    if (this.matching) {
+      appendHidden(form, "all_matching", "1")
+      new URLSearchParams(this.matchingQuery || "").forEach((value, name) => appendHidden(form, name, value))
+    } else {
+      this.selected.forEach((id) => appendHidden(form, "ids[]", id))
+    }
+
+    this.submitForm?.remove()
+    this.submitForm = form
+    this.element.append(form)
+    form.requestSubmit()
+  }
+}
+
+// The action's own `confirm:` text, or a generated one for destructive actions.
+function confirmMessage(button, count) {
+  if (button.dataset.confirm) return button.dataset.confirm
+  if (button.dataset.destructive !== "true") return ""
+
+  const noun = count === 1 ? "record" : "records"
+  return `${button.dataset.label || "Run this action on"} ${formatNumber(count)} selected ${noun}? This cannot be undone.`
+}
+
+function appendHidden(form, name, value) {
+  const input = document.createElement("input")
+  input.type = "hidden"
+  input.name = name
+  input.value = value
+  form.append(input)
+}
+
+function formatNumber(number) {
+  return Number(number).toLocaleString()
+}
@@ -1,45 +1,420 @@
 import { Controller } from "@hotwired/stimulus"
 
+// CodeMirror 5 mode specs keyed by the field's `language:` option.
+const MODES = {
+  ruby: "ruby",
+  rb: "ruby",
+  json: { name: "javascript", json: true },
+  javascript: "javascript",
+  js: "javascript",
+  yaml: "yaml",
+  yml: "yaml",
+  sql: "text/x-sql",
+  markdown: "markdown",
+  md: "markdown",
+  html: { name: "xml", htmlMode: true },
+  xml: "xml",
+}
+
+// Line comment prefixes used by Ctrl/Cmd+/ in the textarea fallback.
+const COMMENT_PREFIXES = {
+  ruby: "#",
+  rb: "#",
+  yaml: "#",
+  yml: "#",
+  sql: "--",
+  javascript: "//",
+  js: "//",
+}
+
+// Characters auto-closed in the textarea fallback.
+const PAIRS = { "(": ")", "[": "]", "{": "}", '"': '"', "'": "'", "`": "`" }
+
+const INDENT = "  "
+
+// CodeMirror 5 is fetched from the CDN the first time a code field connects.
+const CODEMIRROR_URL = "https://cdn.jsdelivr.net/npm/codemirror@5.65.16"
+const CODEMIRROR_STYLESHEETS = ["lib/codemirror.min.css", "theme/material-darker.min.css"]
+const CODEMIRROR_ADDONS = ["addon/edit/matchbrackets.min.js", "addon/edit/closebrackets.min.js"]
+
 /**
  * Code Editor Controller (Admin Suite)
  *
- * Lightweight fallback: keeps a monospace textarea but adds
- * - tab indentation support
- * - auto-resize (optional)
+ * Upgrades the textarea into a CodeMirror editor with syntax highlighting,
+ * line numbers, bracket matching and auto-indent. Every change is written back
+ * into the textarea so form submission is unchanged. CodeMirror (and the mode
+ * for `language`) is loaded from the CDN on first use unless the page already
+ * has it, so only pages with a code field pay for it.
+ *
+ * Until CodeMirror has loaded, or if it can't be, it stays a monospace
+ * textarea with:
+ * - Tab / Shift+Tab indent and outdent (every selected line)
+ * - Ctrl/Cmd+/ line comment toggling (prefix depends on `language`)
+ * - Enter keeps the previous line's indentation
+ * - auto-closing brackets and quotes
  *
- * If a host app wants a real editor (CodeMirror/Monaco), it can override by
- * replacing this controller via importmap pinning.
+ * These edits go through the browser's editing commands, so they can be undone.
  */
 export default class extends Controller {
   static targets = ["textarea"]
+  static values = {
+    language: { type: String, default: "" },
+    lineNumbers: { type: Boolean, default: true },
+  }
 
+  // The textarea fallback stays active until CodeMirror and this field's mode
+  // have loaded, even when another field already loaded CodeMirror.
   connect() {
     if (!this.hasTextareaTarget) return
 
     this.onKeydown = this.onKeydown.bind(this)
     this.textareaTarget.addEventListener("keydown", this.onKeydown)
+
+    loadCodeMirror(this.modeFile)
+      .then(() => this.upgrade())
+      .catch((error) => console.warn("CodeMirror could not be loaded:", error))
   }
 
   disconnect() {
-    if (!this.hasTextareaTarget) return
+    if (this.editor) {
+      this.editor.toTextArea()
+      this.editor = null
+      return
+    }
+
+    if (!this.hasTextareaTarget || !this.onKeydown) return
     this.textareaTarget.removeEventListener("keydown", this.onKeydown)
+    this.onKeydown = null
+  }
+
+  // Swaps the textarea fallback for the editor once CodeMirror has loaded
+  // (unless the controller disconnected meanwhile).
+  upgrade() {
+    if (!this.onKeydown || typeof window.CodeMirror === "undefined") return
+
+    const textarea = this.textareaTarget
+    const focused = document.activeElement === textarea
+    textarea.removeEventListener("keydown", this.onKeydown)
+    this.onKeydown = null
+
+    this.initEditor()
+    if (focused) this.editor.focus()
+  }
+
+  initEditor() {
+    if (typeof window.CodeMirror === "undefined") return false
+
+    const textarea = this.textareaTarget
+
+    this.editor = window.CodeMirror.fromTextArea(textarea, {
+      mode: this.mode,
+      theme: "material-darker",
+      lineNumbers: this.lineNumbersValue,
+      lineWrapping: false,
+      matchBrackets: true,
+      autoCloseBrackets: true,
+      smartIndent: true,
+      indentUnit: 2,
+      tabSize: 2,
+      indentWithTabs: false,
+      readOnly: textarea.readOnly ? "nocursor" : false,
+      extraKeys: {
+        Tab: (cm) => {
+          if (cm.somethingSelected()) {
+            cm.indentSelection("add")
+          } else {
+            cm.replaceSelection("  ", "end")
+          }
+        },
+        "Shift-Tab": (cm) => cm.indentSelection("subtract"),
+      },
+    })
+
+    // Size the editor like the textarea it replaces (rows * line height).
+    this.editor.setSize(null, `${Math.max(textarea.rows || 12, 4) * 1.5}em`)
+
+    this.editor.on("change", () => {
+      this.editor.save()
+
+      // Keep Rails form dirty tracking happy.
+      textarea.dispatchEvent(new Event("input", { bubbles: true }))
+    })
+
+    return true
+  }
+
+  get mode() {
+    const language = this.languageValue.toLowerCase()
+    return MODES[language] || null
+  }
+
+  // CodeMirror's file name for the mode (`mode/<name>/<name>.min.js`).
+  get modeFile() {
+    const mode = this.mode
+    if (!mode) return null
+
+    const name = typeof mode === "string" ? mode : mode.name
+    return name === "text/x-sql" ? "sql" : name
   }
 
   onKeydown(event) {
-    if (event.key !== "Tab") return
+    if (event.isComposing) return
+
+    if (this.handleKey(event)) event.preventDefault()
+  }
 
-    event.preventDefault()
+  // Returns true when the keystroke was handled here (edit or caret move).
+  handleKey(event) {
     const el = this.textareaTarget
-    const start = el.selectionStart
-    const end = el.selectionEnd
-    const value = el.value
+    if (el.readOnly) return false
+
+    const modified = event.ctrlKey || event.metaKey || event.altKey
+
+    if (event.key === "Tab" && !modified) {
+      return event.shiftKey ? this.outdentLines() : this.indent()
+    }
+
+    if (event.key === "/" && (event.ctrlKey || event.metaKey)) {
+      return this.toggleComment()
+    }
+
+    if (modified) return false
+
+    switch (event.key) {
+      case "Enter":
+        return event.shiftKey ? false : this.newline()
+      case "Backspace":
+        return this.deletePair()
+      default:
+        if (PAIRS[event.key]) return this.openPair(event.key)
+        if (Object.values(PAIRS).includes(event.key)) return this.skipClose(event.key)
+        return false
+    }
+  }
+
+  indent() {
+    const { selectionStart: start, selectionEnd: end, value } = this.textareaTarget
+
+    if (start === end || !value.slice(start, end).includes("\n")) {
+      this.replaceRange(start, end, INDENT, start + INDENT.length)
+      return true
+    }
+
+    return this.indentLines()
+  }
+
+  indentLines() {
+    const { selectionStart: start, selectionEnd: end } = this.textareaTarget
+    const { from, to, lines } = this.selectedLines()
+
+    const indented = lines.map((line) => INDENT + line)
+    this.replaceRange(from, to, indented.join("\n"), start + INDENT.length, end + INDENT.length * lines.length)
+    return true
+  }
+
+  outdentLines() {
+    const { selectionStart: start, selectionEnd: end } = this.textareaTarget
+    const { from, to, lines } = this.selectedLines()
+
+    const removed = []
+    const outdented = lines.map((line) => {
+      const match = line.match(/^( {1,2}|\t)/)
+      removed.push(match ? match[0].length : 0)
+      return match ? line.slice(match[0].length) : line
+    })
+
+    const total = removed.reduce((sum, n) => sum + n, 0)
+    if (total === 0) return true
 
-    // Insert two spaces on tab.
-    el.value = value.substring(0, start) + "  " + value.substring(end)
-    el.selectionStart = el.selectionEnd = start + 2
+    const newStart = Math.max(from, start - removed[0])
+    const newEnd = start === end ? newStart : Math.max(newStart, end - total)
 
-    // Keep Rails form dirty tracking happy.
-    el.dispatchEvent(new Event("input", { bubbles: true }))
+    this.replaceRange(from, to, outdented.join("\n"), newStart, newEnd)
+    return true
+  }
+
+  toggleComment() {
+    const prefix = COMMENT_PREFIXES[this.languageValue.toLowerCase()]
+    if (!prefix) return false
+
+    const { selectionStart: start, selectionEnd: end } = this.textareaTarget
+    const { from, to, lines } = this.selectedLines()
+
+    const codeLines = lines.filter((line) => line.trim() !== "")
+    if (!codeLines.length) return true
+
+    const commented = codeLines.every((line) => line.trimStart().startsWith(prefix))
+    let updated
+
+    if (commented) {
+      updated = lines.map((line) => {
+        const indent = line.length - line.trimStart().length
+        const rest = line.slice(indent + prefix.length)
+        return line.slice(0, indent) + (rest.startsWith(" ") ? rest.slice(1) : rest)
+      })
+    } else {
+      const column = Math.min(...codeLines.map((line) => line.length - line.trimStart().length))
+      updated = lines.map((line) =>
+        line.trim() === "" ? line : `${line.slice(0, column)}${prefix} ${line.slice(column)}`,
+      )
+    }
+
+    const text = updated.join("\n")
+
+    if (start === end) {
+      const delta = updated[0].length - lines[0].length
+      const cursor = Math.max(from, start + delta)
+      this.replaceRange(from, to, text, cursor)
+    } else {
+      this.replaceRange(from, to, text, from, from + text.length)
+    }
+
+    return true
+  }
+
+  newline() {
+    const { selectionStart: start, selectionEnd: end, value } = this.textareaTarget
+    const lineStart = value.lastIndexOf("\n", start - 1) + 1
+    const indent = value.slice(lineStart, start).match(/^[ \t]*/)[0]
+
+    const before = value[start - 1]
+    const after = value[end]
+
+    // Between a bracket pair: open an indented line and push the closer down.
+    if (before && PAIRS[before] === after && "([{".includes(before)) {
+      const inner = `\n${indent}${INDENT}`
+      this.replaceRange(start, end, `${inner}\n${indent}`, start + inner.length)
+      return true
+    }
+
+    const text = `\n${indent}${before && "([{".includes(before) ? INDENT : ""}`
+    this.replaceRange(start, end, text, start + text.length)
+    return true
+  }
+
+  openPair(char) {
+    const { selectionStart: start, selectionEnd: end, value } = this.textareaTarget
+    const close = PAIRS[char]
+
+    // Wrap the selection.
+    if (start !== end) {
+      const text = char + value.slice(start, end) + close
+      this.replaceRange(start, end, text, start + 1, end + 1)
+      return true
+    }
+
+    // Typing a quote in front of the same quote just steps over it.
+    if (char === close && value[start] === close) {
+      return this.skipClose(char)
+    }
+
+    // Only auto-close quotes at word boundaries (don't break "don't").
+    if (char === close && /\w/.test(value[start - 1] || "")) return false
+    if (/\w/.test(value[start] || "")) return false
+
+    this.replaceRange(start, end, char + close, start + 1)
+    return true
+  }
+
+  skipClose(char) {
+    const el = this.textareaTarget
+    const { selectionStart: start, selectionEnd: end, value } = el
+    if (start !== end || value[start] !== char) return false
+
+    el.selectionStart = el.selectionEnd = start + 1
+    return true
+  }
+
+  deletePair() {
+    const { selectionStart: start, selectionEnd: end, value } = this.textareaTarget
+    if (start !== end || start === 0) return false
+
+    const open = value[start - 1]
+    if (!PAIRS[open] || value[start] !== PAIRS[open]) return false
+
+    this.replaceRange(start - 1, start + 1, "", start - 1)
+    return true
+  }
+
+  // Full lines touched by the selection (a selection ending at column 0 does
+  // not include that last line).
+  selectedLines() {
+    const { selectionStart: start, value } = this.textareaTarget
+    let end = this.textareaTarget.selectionEnd
+    if (end > start && value[end - 1] === "\n") end -= 1
+
+    const from = value.lastIndexOf("\n", start - 1) + 1
+    const lineEnd = value.indexOf("\n", end)
+    const to = lineEnd === -1 ? value.length : lineEnd
+
+    return { from, to, lines: value.slice(from, to).split("\n") }
+  }
+
+  // Replaces `from`..`to` with `text` through the browser's editing commands,
+  // so the edit lands on the textarea's undo stack (Ctrl/Cmd+Z). setRangeText
+  // is the fallback where those commands aren't supported.
+  replaceRange(from, to, text, selectionStart, selectionEnd = selectionStart) {
+    const el = this.textareaTarget
+    el.focus()
+    el.setSelectionRange(from, to)
+
+    const edited = text ? document.execCommand("insertText", false, text) : document.execCommand("delete")
+    if (!edited) {
+      el.setRangeText(text, from, to, "end")
+
+      // Keep Rails form dirty tracking happy (the editing commands fire their own input event).
+      el.dispatchEvent(new Event("input", { bubbles: true }))
+    }
+
+    el.setSelectionRange(selectionStart, selectionEnd)
   }
 }
 
+const loadedAssets = new Map()
+
+// CodeMirror's stylesheets, core, addons and the `modeFile` mode. The core
+// goes first: the others register themselves on it. A core the page already
+// has is kept (a second copy would drop its registered modes), and so is a
+// mode it already knows.
+function loadCodeMirror(modeFile) {
+  const stylesheets = Promise.all(CODEMIRROR_STYLESHEETS.map((path) => loadAsset(`${CODEMIRROR_URL}/${path}`)))
+  const core =
+    typeof window.CodeMirror === "undefined" ? loadAsset(`${CODEMIRROR_URL}/lib/codemirror.min.js`) : Promise.resolve()
+
+  return core
+    .then(() => {
+      const scripts = [...CODEMIRROR_ADDONS]
+      if (modeFile && !window.CodeMirror.modes?.[modeFile]) scripts.push(`mode/${modeFile}/${modeFile}.min.js`)
+      return Promise.all(scripts.map((path) => loadAsset(`${CODEMIRROR_URL}/${path}`)))
+    })
+    .then(() => stylesheets)
+}
+
+// Appends a script or stylesheet to <head> once per URL; a failed load can be
+// retried by the next field.
+function loadAsset(url) {
+  if (!loadedAssets.has(url)) {
+    const promise = new Promise((resolve, reject) => {
+      let element
+      if (url.endsWith(".css")) {
+        element = document.createElement("link")
+        element.rel = "stylesheet"
+        element.href = url
+      } else {
+        element = document.createElement("script")
+        element.src = url
+      }
+
+      element.addEventListener("load", resolve)
+      element.addEventListener("error", () => {
+        loadedAssets.delete(url)
+        element.remove()
+        reject(new Error(`Failed to load ${url}`))
+      })
+      document.head.append(element)
+    })
+    loadedAssets.set(url, promise)
+  }
+
+  return loadedAssets.get(url)
+}
@@ -0,0 +1,110 @@
+// WAI-ARIA combobox helpers shared by the searchable and tag select
+// controllers (ids, list navigation keys, typeahead, live announcements).
+//
+// Pinned by importmap as "controllers/admin_suite/combobox" (it is not a
+// controller, so Stimulus' eager loading skips it).
+
+// Delay before a result count is announced, so typing doesn't queue one
+// announcement per keystroke.
+const ANNOUNCE_DELAY = 400
+
+let idCounter = 0
+
+export function uniqueId(prefix) {
+  idCounter += 1
+  return `${prefix}-${idCounter}`
+}
+
+// Marks `input` as a combobox controlling the listbox `list`.
+export function setupCombobox(input, list, prefix) {
+  if (!list.id) list.id = uniqueId(`${prefix}-listbox`)
+  list.setAttribute("role", "listbox")
+
+  input.setAttribute("role", "combobox")
+  input.setAttribute("aria-autocomplete", "list")
+  input.setAttribute("aria-expanded", "false")
+  input.setAttribute("aria-controls", list.id)
+}
+
+export function setExpanded(input, expanded) {
+  input.setAttribute("aria-expanded", String(expanded))
+  if (!expanded) input.removeAttribute("aria-activedescendant")
+}
+
+// Points the combobox at the active option element (or nothing).
+export function setActiveDescendant(input, option) {
+  if (option?.id) {
+    input.setAttribute("aria-activedescendant", option.id)
+  } else {
+    input.removeAttribute("aria-activedescendant")
+  }
+}
+
+// New highlighted index for a list navigation key, or null when `key` doesn't
+// navigate. `index` is -1 when nothing is highlighted.
+export function navigationIndex(key, index, count, pageSize) {
+  if (!count) return null
+
+  const last = count - 1
+  switch (key) {
+    case "ArrowDown":
+      return Math.min(index + 1, last)
+    case "ArrowUp":
+      return index === -1 ? last : Math.max(index - 1, 0)
+    case "Home":
+      return 0
+    case "End":
+      return last
+    case "PageDown":
+      return Math.min(Math.max(index, 0) + pageSize, last)
+    case "PageUp":
+      return Math.max(index - pageSize, 0)
+    default:
+      return null
+  }
+}
+
+// Index of the first label starting with `query` (case-insensitive), then of
+// the first containing it; -1 when the query is empty or nothing matches.
+export function typeaheadIndex(labels, query) {
+  const needle = String(query || "").trim().toLowerCase()
+  if (!needle) return -1
+
+  const lower = labels.map((label) => String(label ?? "").toLowerCase())
+  const prefix = lower.findIndex((label) => label.startsWith(needle))
+  return prefix === -1 ? lower.findIndex((label) => label.includes(needle)) : prefix
+}
+
+export function countMessage(count, noun = "result") {
+  if (!count) return `No ${noun}s found.`
+  return `${count} ${noun}${count === 1 ? "" : "s"} available.`
+}
+
+// A visually hidden polite live region appended to `element`.
+export function createLiveRegion(element) {
+  const region = document.createElement("div")
+  region.className = "sr-only"
+  region.setAttribute("role", "status")
+  region.setAttribute("aria-live", "polite")
+  region.setAttribute("aria-atomic", "true")
+  element.append(region)
+
+  let timer
+  return {
+    announce(message, { immediate = false } = {}) {
+      clearTimeout(timer)
+      const update = () => {
+        region.textContent = message
+      }
+      if (immediate) {
+        update()
+      } else {
+        timer = setTimeout(update, ANNOUNCE_DELAY)
+      }
+    },
+    disconnect() {
+      clearTimeout(timer)
+      region.remove()
+    },
+  }
+}
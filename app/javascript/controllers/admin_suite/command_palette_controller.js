@@ -0,0 +1,278 @@
+import { Controller } from "@hotwired/stimulus"
+import {
+  countMessage,
+  createLiveRegion,
+  navigationIndex,
+  setActiveDescendant,
+  setExpanded,
+  setupCombobox,
+} from "controllers/admin_suite/combobox"
+
+const MAX_RESULTS = 50
+const PAGE_SIZE = 5
+
+const OPTION_CLASS = "w-full flex items-center justify-between gap-3 px-4 py-2 text-left text-sm text-slate-700"
+const ACTIVE_CLASSES = ["bg-indigo-50", "text-indigo-700"]
+
+/**
+ * Command Palette Controller (Admin Suite)
+ *
+ * Cmd/Ctrl+K (or `open`) shows the `dialog` with a search field (`input`)
+ * that fuzzy-matches `{ label, group, url, hint }` entries: the portals,
+ * resources and docs pages, fetched from `url` the first time the palette
+ * opens, plus the page's own `items` (the current resource's collection
+ * actions). Actions carry `method` (and optionally `confirm`) and are submitted
+ * as a form with the filters in the current URL, which live filtering keeps up
+ * to date; everything else is visited.
+ *
+ * The search field is a combobox over the `list` listbox: ArrowUp/ArrowDown,
+ * PageUp/PageDown and Home/End move the highlight, Enter runs it, Escape or a
+ * click outside the panel closes the palette and focus goes back to where it
+ * was.
+ */
+export default class extends Controller {
+  static targets = ["dialog", "input", "list"]
+  static values = {
+    url: { type: String, default: "" },
+    items: { type: Array, default: [] },
+  }
+
+  connect() {
+    this.results = []
+    this.index = -1
+    this.remoteItems = []
+    this.loading = null
+
+    if (this.hasInputTarget && this.hasListTarget) {
+      setupCombobox(this.inputTarget, this.listTarget, "command-palette")
+      this.liveRegion = createLiveRegion(this.dialogTarget)
+    }
+  }
+
+  disconnect() {
+    this.liveRegion?.disconnect()
+  }
+
+  get items() {
+    return [...this.remoteItems, ...this.itemsValue]
+  }
+
+  // Fetches the navigation and docs entries once; a failed request is retried
+  // on the next open.
+  load() {
+    if (!this.urlValue || this.loading) return
+
+    this.loading = fetch(this.urlValue, { headers: { Accept: "application/json" } })
+      .then((response) => (response.ok ? response.json() : Promise.reject(new Error(response.statusText))))
+      .then((items) => {
+        this.remoteItems = Array.isArray(items) ? items : []
+        if (this.isOpen) this.filter()
+      })
+      .catch(() => {
+        this.loading = null
+      })
+  }
+
+  get isOpen() {
+    return this.hasDialogTarget && !this.dialogTarget.classList.contains("hidden")
+  }
+
+  // Window keydown: Cmd/Ctrl+K toggles the palette, even from a text field.
+  globalKeydown(event) {
+    if (event.key.toLowerCase() !== "k" || !(event.metaKey || event.ctrlKey) || event.altKey) return
+
+    event.preventDefault()
+    if (this.isOpen) {
+      this.close()
+    } else {
+      this.open()
+    }
+  }
+
+  open(event) {
+    event?.preventDefault()
+    if (!this.hasDialogTarget || this.isOpen) return
+
+    this.returnFocus = document.activeElement
+    this.dialogTarget.classList.remove("hidden")
+    this.inputTarget.value = ""
+    this.filter()
+    setExpanded(this.inputTarget, true)
+    this.inputTarget.focus()
+    this.load()
+  }
+
+  close() {
+    if (!this.isOpen) return
+
+    this.dialogTarget.classList.add("hidden")
+    setExpanded(this.inputTarget, false)
+    this.returnFocus?.focus?.()
+    this.returnFocus = null
+  }
+
+  // Clicks on the overlay itself (outside the panel).
+  backdrop(event) {
+    if (event.target === this.dialogTarget) this.close()
+  }
+
+  filter() {
+    const query = this.inputTarget.value.trim()
+    this.results = rankItems(this.items, query).slice(0, MAX_RESULTS)
+    this.render()
+    this.highlight(this.results.length ? 0 : -1)
+    this.liveRegion.announce(countMessage(this.results.length, "command"))
+  }
+
+  render() {
+    if (!this.results.length) {
+      const empty = document.createElement("div")
+      empty.className = "px-4 py-6 text-center text-sm text-slate-500"
+      empty.setAttribute("role", "presentation")
+      empty.textContent = "No matching commands."
+      this.listTarget.replaceChildren(empty)
+      return
+    }
+
+    this.listTarget.replaceChildren(...this.results.map((item, index) => this.buildOption(item, index)))
+  }
+
+  buildOption(item, index) {
+    const option = document.createElement("div")
+    option.id = `${this.listTarget.id}-option-${index}`
+    option.className = OPTION_CLASS
+    option.setAttribute("role", "option")
+    option.setAttribute("aria-selected", "false")
+
+    const label = document.createElement("span")
+    label.className = "min-w-0 truncate"
+    label.textContent = item.label
+
+    const meta = document.createElement("span")
+    meta.className = "flex-shrink-0 text-xs text-slate-400"
+    meta.textContent = item.hint ? `${item.group} · ${item.hint}` : item.group
+
+    option.append(label, meta)
+    option.addEventListener("mousemove", () => {
+      if (this.index !== index) this.highlight(index)
+    })
+    option.addEventListener("click", () => this.run(item))
+    return option
+  }
+
+  highlight(index) {
+    const options = Array.from(this.listTarget.querySelectorAll('[role="option"]'))
+    options.forEach((option, position) => {
+      const active = position === index
+      ACTIVE_CLASSES.forEach((name) => option.classList.toggle(name, active))
+      option.setAttribute("aria-selected", String(active))
+    })
+
+    this.index = index
+    const current = options[index]
+    setActiveDescendant(this.inputTarget, current)
+    current?.scrollIntoView({ block: "nearest" })
+  }
+
+  keydown(event) {
+    if (event.key === "Escape") {
+      event.preventDefault()
+      this.close()
+      return
+    }
+
+    if (event.key === "Enter") {
+      event.preventDefault()
+      const item = this.results[this.index]
+      if (item) this.run(item)
+      return
+    }
+
+    // Home/End stay with the text field while nothing is highlighted.
+    if ((event.key === "Home" || event.key === "End") && this.index === -1) return
+
+    const next = navigationIndex(event.key, this.index, this.results.length, PAGE_SIZE)
+    if (next === null) return
+
+    event.preventDefault()
+    this.highlight(next)
+  }
+
+  run(item) {
+    this.close()
+
+    if (item.method) {
+      this.submit(item)
+    } else if (window.Turbo && new URL(item.url, window.location.href).origin === window.location.origin) {
+      window.Turbo.visit(item.url)
+    } else {
+      window.location.assign(item.url)
+    }
+  }
+
+  submit(item) {
+    const form = document.createElement("form")
+    form.method = "post"
+    form.action = item.url
+    form.hidden = true
+    form.dataset.turboFrame = "_top"
+    if (item.confirm) form.dataset.turboConfirm = item.confirm
+
+    // Read when the action runs: live filtering rewrites the URL in place.
+    const fields = new URLSearchParams(window.location.search)
+    fields.delete("page")
+    if (item.method.toLowerCase() !== "post") fields.set("_method", item.method)
+
+    const csrfToken = document.querySelector('meta[name="csrf-token"]')?.content
+    if (csrfToken) fields.set("authenticity_token", csrfToken)
+
+    fields.forEach((value, name) => {
+      const input = document.createElement("input")
+      input.type = "hidden"
+      input.name = name
+      input.value = value
+      form.append(input)
+    })
+
+    this.element.append(form)
+    form.requestSubmit()
+  }
+}
+
+// Items matching `query`, best first: label matches before group/hint ones,
+// then by fuzzy score. An empty query keeps the given order.
+function rankItems(items, query) {
+  if (!query) return items
+
+  return items
+    .map((item, position) => {
+      const labelScore = fuzzyScore(query, item.label)
+      const score = labelScore >= 0 ? labelScore + 100 : fuzzyScore(query, `${item.group} ${item.hint || ""} ${item.label}`)
+      return { item, score, position }
+    })
+    .filter(({ score }) => score >= 0)
+    .sort((a, b) => b.score - a.score || a.position - b.position)
+    .map(({ item }) => item)
+}
+
+// Subsequence match of `query` in `text`, rewarding consecutive characters and
+// word starts; -1 when some character is missing.
+function fuzzyScore(query, text) {
+  const needle = query.toLowerCase().replace(/\s+/g, "")
+  const haystack = String(text || "").toLowerCase()
+  let score = 0
+  let position = -1
+  let streak = 0
+
+  for (const char of needle) {
+    const index = haystack.indexOf(char, position + 1)
+    if (index === -1) return -1
+
+    streak = index === position + 1 ? streak + 1 : 0
+    score += 1 + streak * 2
+    if (index === 0 || /[\s\-_/.:›·]/.test(haystack[index - 1])) score += 3
+    position = index
+  }
+
+  return score - haystack.length / 100
+}
@@ -1,22 +1,103 @@
 import { Controller } from "@hotwired/stimulus"
+import {
+  DEFAULT_MAX_SIZE,
+  contentError,
+  fileError,
+  formatFileSize,
+  validateSize,
+  validateType,
+} from "controllers/admin_suite/file_validation"
+import {
+  EDITABLE_TYPES,
+  canvasToFile,
+  centeredCrop,
+  clampCrop,
+  loadImage,
+  parseAspectRatio,
+  renderImage,
+  rotatedSize,
+} from "controllers/admin_suite/image_processing"
+
+// Longest side of the on-screen image editor canvas, in CSS pixels.
+const EDITOR_SIZE = 480
+
+const CHECK_ICON = "M5 13l4 4L19 7"
+const ALERT_ICON = "M12 8v4m0 4h.01M21 12a9 9 0 11-18 0 9 9 0 0118 0z"
 
 /**
  * File Upload Controller (Admin Suite)
+ *
+ * With `multiple`, every chosen/dropped file is validated on its own and added
+ * to a list (thumbnail, name, size, remove button), up to `maxFiles` including
+ * the record's existing attachments. The input's FileList is rebuilt from that
+ * list, so what is shown is exactly what gets submitted.
+ *
+ * With a `directUploadUrl`, accepted files are sent straight to Active Storage
+ * (`@rails/activestorage` DirectUpload, imported on demand) with a progress
+ * bar and cancel/retry. Finished uploads submit their signed blob id in a hidden
+ * field instead of the file; the form's submit buttons stay disabled while any
+ * upload is pending.
+ *
+ * With `imageEditor` (single file only), a JPEG/PNG/WebP image first opens an
+ * editing step: crop (to `aspectRatio` when set; drag or arrow keys to move,
+ * zoom to resize), rotate, then downscale to `maxDimension` and re-encode at
+ * `quality`. The processed file replaces the original, and the type/size checks
+ * run on it.
+ *
+ * With `verifyContent`, the first bytes of each file are also checked against
+ * its type/extension (see `contentError`), catching e.g. renamed executables.
+ *
+ * File names and messages are always rendered as text, never as HTML.
+ *
+ * Files (e.g. screenshots) pasted while the dropzone has focus are handled like
+ * dropped ones. When the record already has an attachment, the `state` hidden
+ * field tells the server what to do with it: "keep", "replace" (a new file was
+ * chosen) or "remove" (with an undo until the form is saved).
  */
 export default class extends Controller {
-  static targets = ["input", "filename", "dropzone", "imagePreview", "progress", "removeButton"]
+  static targets = [
+    "input",
+    "filename",
+    "dropzone",
+    "imagePreview",
+    "progress",
+    "removeButton",
+    "list",
+    "existingItem",
+    "errors",
+    "editor",
+    "state",
+    "existingFile",
+  ]
 
   static values = {
     accept: { type: String, default: "" },
-    maxSize: { type: Number, default: 10485760 },
+    maxSize: { type: Number, default: DEFAULT_MAX_SIZE },
     preview: { type: Boolean, default: false },
     multiple: { type: Boolean, default: false },
+    maxFiles: { type: Number, default: 0 },
     existingUrl: String,
+    directUploadUrl: { type: String, default: "" },
+    imageEditor: { type: Boolean, default: false },
+    aspectRatio: { type: String, default: "" },
+    maxDimension: { type: Number, default: 0 },
+    quality: { type: Number, default: 0.9 },
+    verifyContent: { type: Boolean, default: false },
   }
 
   connect() {
+    this.files = []
+    this.objectUrls = new Map()
+    this.uploads = new Map()
+    this.statusElements = new Map()
     this.setupDropZone()
 
+    if (this.directUploadUrlValue) {
+      this.form = this.element.closest("form")
+      this.onSubmit = this.onSubmit.bind(this)
+      this.form?.addEventListener("submit", this.onSubmit)
+    }
+
     if (this.existingUrlValue && this.hasImagePreviewTarget) {
       this.showExistingPreview()
     }
@@ -27,7 +108,14 @@ export default class extends Controller {
       this.dropZoneElement.removeEventListener("dragover", this.handleDragOver)
       this.dropZoneElement.removeEventListener("dragleave", this.handleDragLeave)
       this.dropZoneElement.removeEventListener("drop", this.handleDrop)
+      this.dropZoneElement.removeEventListener("paste", this.handlePaste)
     }
+
+    this.objectUrls.forEach((url) => URL.revokeObjectURL(url))
+    this.objectUrls.clear()
+
+    this.uploads.forEach((_upload, file) => this.discardUpload(file))
+    this.form?.removeEventListener("submit", this.onSubmit)
   }
 
   setupDropZone() {
@@ -36,10 +124,12 @@ export default class extends Controller {
     this.handleDragOver = this.onDragOver.bind(this)
     this.handleDragLeave = this.onDragLeave.bind(this)
     this.handleDrop = this.onDrop.bind(this)
+    this.handlePaste = this.onPaste.bind(this)
 
     this.dropZoneElement.addEventListener("dragover", this.handleDragOver)
     this.dropZoneElement.addEventListener("dragleave", this.handleDragLeave)
     this.dropZoneElement.addEventListener("drop", this.handleDrop)
+    this.dropZoneElement.addEventListener("paste", this.handlePaste)
   }
 
   preview(event) {
@@ -72,20 +162,51 @@ export default class extends Controller {
     }
   }
 
-  processFiles(files) {
+  onPaste(event) {
+    const files = event.clipboardData?.files
+    if (!files?.length) return
+
+    event.preventDefault()
+    this.processFiles(files)
+  }
+
+  async processFiles(files) {
+    if (this.multipleValue) {
+      this.addFiles(files)
+      return
+    }
+
     const file = files[0]
 
-    if (!this.validateType(file)) {
-      this.showError(`Invalid file type. Allowed: ${this.acceptValue || "all files"}`)
+    if (this.verifyContentValue) {
+      const error = await contentError(file)
+      if (error) {
+        this.showError(error)
+        return
+      }
+    }
+
+    if (this.editsImage(file)) {
+      this.openImageEditor(file)
       return
     }
 
-    if (!this.validateSize(file)) {
-      this.showError(`File too large. Maximum size: ${this.formatFileSize(this.maxSizeValue)}`)
+    this.acceptFile(file)
+  }
+
+  acceptFile(file) {
+    const error = fileError(file, { accept: this.acceptValue, maxSize: this.maxSizeValue })
+    if (error) {
+      this.showError(error)
       return
     }
 
-    if (this.hasInputTarget && !this.inputTarget.files.length) {
+    this.uploads.forEach((_upload, previous) => this.discardUpload(previous))
+
+    if (this.directUploadUrlValue) {
+      if (this.hasInputTarget) this.inputTarget.value = ""
+      this.startDirectUpload(file)
+    } else if (this.hasInputTarget && this.inputTarget.files[0] !== file) {
       const dataTransfer = new DataTransfer()
       dataTransfer.items.add(file)
       this.inputTarget.files = dataTransfer.files
@@ -101,29 +222,618 @@ export default class extends Controller {
       this.removeButtonTarget.classList.remove("hidden")
     }
 
+    this.hideRemovalNotice()
+    if (this.hasExistingFileTarget) this.existingFileTarget.classList.add("hidden")
+    this.setAttachmentState("replace")
+
     this.dispatch("select", { detail: { file } })
   }
 
-  validateType(file) {
-    if (!this.acceptValue) return true
+  // ---- existing attachment (keep / replace / remove) ----
+
+  get attachmentState() {
+    return this.hasStateTarget ? this.stateTarget.value : null
+  }
+
+  setAttachmentState(state) {
+    if (!this.hasStateTarget || this.stateTarget.value === state) return
+
+    this.stateTarget.value = state
+    this.dispatch("state", { detail: { state } })
+  }
+
+  undoRemove() {
+    this.hideRemovalNotice()
+    this.setAttachmentState("keep")
+    this.showExistingPreview()
+  }
+
+  showRemovalNotice() {
+    if (this.removalNotice) return
+
+    const notice = document.createElement("div")
+    notice.className =
+      "flex flex-wrap items-center gap-3 px-3 py-2 text-sm text-amber-800 bg-amber-50 border border-amber-200 rounded-lg"
+    notice.setAttribute("role", "status")
+
+    const message = document.createElement("span")
+    message.className = "flex-1"
+    message.textContent = "The current file will be removed when you save."
+
+    const undo = document.createElement("button")
+    undo.type = "button"
+    undo.className = "font-medium underline hover:text-amber-900"
+    undo.textContent = "Undo"
+    undo.addEventListener("click", () => this.undoRemove())
+
+    notice.append(message, undo)
+    this.element.prepend(notice)
+    this.removalNotice = notice
+  }
+
+  hideRemovalNotice() {
+    this.removalNotice?.remove()
+    this.removalNotice = null
+  }
+
+  // ---- image editor ----
+
+  editsImage(file) {
+    return (
+      this.imageEditorValue &&
+      this.hasEditorTarget &&
+      EDITABLE_TYPES.includes(file.type) &&
+      validateType(file, this.acceptValue)
+    )
+  }
+
+  async openImageEditor(file) {
+    let image
+    try {
+      image = await loadImage(file)
+    } catch (e) {
+      this.showError(e.message)
+      return
+    }
+
+    // Nothing is selected until the edit is applied.
+    if (this.hasInputTarget) this.inputTarget.value = ""
+
+    this.editing = { file, image, rotation: 0, zoom: 1 }
+    this.buildImageEditor()
+    this.renderEditorBase()
+    this.resetCrop()
+    this.drawImageEditor()
+  }
+
+  closeImageEditor() {
+    this.editing = null
+    if (!this.hasEditorTarget) return
+
+    this.editorTarget.replaceChildren()
+    this.editorTarget.classList.add("hidden")
+  }
+
+  get aspectRatio() {
+    return parseAspectRatio(this.aspectRatioValue)
+  }
+
+  buildImageEditor() {
+    const canvas = document.createElement("canvas")
+    canvas.className = "block max-w-full rounded-lg border border-slate-200 cursor-move touch-none"
+    canvas.tabIndex = 0
+    canvas.setAttribute("aria-label", "Crop area. Drag or use the arrow keys to move it.")
+    canvas.addEventListener("pointerdown", (event) => this.startCropDrag(event))
+    canvas.addEventListener("pointermove", (event) => this.moveCropDrag(event))
+    canvas.addEventListener("pointerup", () => (this.cropDrag = null))
+    canvas.addEventListener("pointercancel", () => (this.cropDrag = null))
+    canvas.addEventListener("keydown", (event) => this.nudgeCrop(event))
+
+    const zoom = document.createElement("input")
+    zoom.type = "range"
+    zoom.min = "20"
+    zoom.max = "100"
+    zoom.value = "100"
+    zoom.className = "w-28"
+    zoom.setAttribute("aria-label", "Crop size")
+    zoom.addEventListener("input", () => this.zoomCrop(Number(zoom.value) / 100))
+
+    const size = document.createElement("span")
+    size.className = "text-xs text-slate-500 tabular-nums"
+
+    const controls = document.createElement("div")
+    controls.className = "flex flex-wrap items-center gap-2 mt-2"
+    controls.append(
+      this.editorButton("↺ Rotate left", () => this.rotateImage(-90)),
+      this.editorButton("↻ Rotate right", () => this.rotateImage(90)),
+      zoom,
+      size,
+    )
+
+    const actions = document.createElement("div")
+    actions.className = "flex flex-wrap items-center justify-end gap-2 mt-2"
+    actions.append(
+      this.editorButton("Cancel", () => this.closeImageEditor()),
+      this.editorButton("Use original", () => this.useOriginalImage()),
+      this.editorButton("Apply", () => this.applyImageEdit(), true),
+    )
+
+    this.editorTarget.replaceChildren(canvas, controls, actions)
+    this.editorTarget.classList.remove("hidden")
+    this.editing.canvas = canvas
+    this.editing.sizeLabel = size
+  }
 
-    const acceptTypes = this.acceptValue.split(",").map((t) => t.trim())
+  editorButton(label, handler, primary = false) {
+    const button = document.createElement("button")
+    button.type = "button"
+    button.className = primary
+      ? "px-3 py-1.5 text-xs font-medium text-white bg-indigo-600 hover:bg-indigo-700 rounded transition-colors"
+      : "px-3 py-1.5 text-xs font-medium text-slate-700 bg-slate-100 hover:bg-slate-200 rounded transition-colors"
+    button.textContent = label
+    button.addEventListener("click", handler)
+    return button
+  }
+
+  // The rotated image scaled down to the editor size; the crop overlay is drawn
+  // over a copy of it on every change.
+  renderEditorBase() {
+    const { image, rotation, canvas } = this.editing
+    const base = renderImage(image, { rotation, maxDimension: EDITOR_SIZE })
+
+    this.editing.base = base
+    this.editing.scale = base.width / rotatedSize(image, rotation).width
+    canvas.width = base.width
+    canvas.height = base.height
+  }
+
+  resetCrop() {
+    const { image, rotation, zoom } = this.editing
+    const { width, height } = rotatedSize(image, rotation)
+    this.editing.crop = centeredCrop(width, height, this.aspectRatio, zoom)
+  }
+
+  drawImageEditor() {
+    const { canvas, base, crop, scale, sizeLabel } = this.editing
+    const context = canvas.getContext("2d")
+    const x = crop.x * scale
+    const y = crop.y * scale
+    const width = crop.width * scale
+    const height = crop.height * scale
+
+    context.clearRect(0, 0, canvas.width, canvas.height)
+    context.drawImage(base, 0, 0)
+
+    context.fillStyle = "rgba(15, 23, 42, 0.55)"
+    context.beginPath()
+    context.rect(0, 0, canvas.width, canvas.height)
+    context.rect(x, y, width, height)
+    context.fill("evenodd")
+
+    context.strokeStyle = "#ffffff"
+    context.lineWidth = 2
+    context.strokeRect(x, y, width, height)
+
+    const limit = this.maxDimensionValue
+    const longest = Math.max(crop.width, crop.height)
+    const factor = limit && longest > limit ? limit / longest : 1
+    sizeLabel.textContent = `${Math.round(crop.width * factor)} × ${Math.round(crop.height * factor)} px`
+  }
+
+  rotateImage(degrees) {
+    this.editing.rotation = (this.editing.rotation + degrees + 360) % 360
+    this.renderEditorBase()
+    this.resetCrop()
+    this.drawImageEditor()
+  }
+
+  zoomCrop(zoom) {
+    const { image, rotation, crop } = this.editing
+    const { width, height } = rotatedSize(image, rotation)
+    const resized = centeredCrop(width, height, this.aspectRatio, zoom)
+    const centerX = crop.x + crop.width / 2
+    const centerY = crop.y + crop.height / 2
+
+    this.editing.zoom = zoom
+    this.editing.crop = clampCrop(
+      { ...resized, x: centerX - resized.width / 2, y: centerY - resized.height / 2 },
+      width,
+      height,
+    )
+    this.drawImageEditor()
+  }
+
+  moveCrop(dx, dy) {
+    const { image, rotation, crop } = this.editing
+    const { width, height } = rotatedSize(image, rotation)
+
+    this.editing.crop = clampCrop({ ...crop, x: crop.x + dx, y: crop.y + dy }, width, height)
+    this.drawImageEditor()
+  }
+
+  startCropDrag(event) {
+    event.preventDefault()
+    event.currentTarget.setPointerCapture(event.pointerId)
+    this.cropDrag = { x: event.clientX, y: event.clientY }
+  }
+
+  moveCropDrag(event) {
+    if (!this.cropDrag) return
+
+    // The canvas may be shrunk by CSS (max-w-full).
+    const ratio = event.currentTarget.width / event.currentTarget.getBoundingClientRect().width
+    const scale = this.editing.scale / ratio
+
+    this.moveCrop((event.clientX - this.cropDrag.x) / scale, (event.clientY - this.cropDrag.y) / scale)
+    this.cropDrag = { x: event.clientX, y: event.clientY }
+  }
+
+  nudgeCrop(event) {
+    const steps = { ArrowLeft: [-1, 0], ArrowRight: [1, 0], ArrowUp: [0, -1], ArrowDown: [0, 1] }
+    const step = steps[event.key]
+    if (!step) return
+
+    event.preventDefault()
+    const distance = (event.shiftKey ? 1 : 10) / this.editing.scale
+    this.moveCrop(step[0] * distance, step[1] * distance)
+  }
+
+  async applyImageEdit() {
+    const { file, image, rotation, crop } = this.editing
+    const canvas = renderImage(image, { rotation, crop, maxDimension: this.maxDimensionValue })
+
+    let processed
+    try {
+      processed = await canvasToFile(canvas, file, { quality: this.qualityValue })
+    } catch (e) {
+      this.closeImageEditor()
+      this.showError(e.message)
+      return
+    }
+
+    this.closeImageEditor()
+    this.acceptFile(processed)
+  }
 
-    return acceptTypes.some((type) => {
-      if (type === "*/*") return true
-      if (type.endsWith("/*")) {
-        const category = type.replace("/*", "")
-        return file.type.startsWith(category)
+  useOriginalImage() {
+    const { file } = this.editing
+    this.closeImageEditor()
+    this.acceptFile(file)
+  }
+
+  // ---- multiple files ----
+
+  async addFiles(files) {
+    const errors = []
+    const added = []
+
+    for (const file of files) {
+      if (this.files.some((existing) => sameFile(existing, file))) continue
+
+      if (this.maxFilesValue && this.fileCount >= this.maxFilesValue) {
+        errors.push(`${file.name}: Too many files. Maximum: ${this.maxFilesValue}`)
+        continue
       }
-      if (type.startsWith(".")) {
-        return file.name.toLowerCase().endsWith(type.toLowerCase())
+
+      const error =
+        fileError(file, { accept: this.acceptValue, maxSize: this.maxSizeValue }) ||
+        (this.verifyContentValue ? await contentError(file) : null)
+      if (error) {
+        errors.push(`${file.name}: ${error}`)
+        continue
       }
-      return file.type === type
+
+      // Another selection may have added it while the content was being read.
+      if (this.files.some((existing) => sameFile(existing, file))) continue
+
+      this.files.push(file)
+      added.push(file)
+      if (this.directUploadUrlValue) this.startDirectUpload(file)
+    }
+
+    this.syncInput()
+    this.renderFileList()
+    this.showFileErrors(errors)
+
+    if (added.length) {
+      this.dispatch("select", { detail: { files: [...this.files], added } })
+    }
+  }
+
+  get fileCount() {
+    return this.files.length + this.existingItemTargets.length
+  }
+
+  removeFile(file) {
+    this.files = this.files.filter((f) => f !== file)
+    this.revokeObjectUrl(file)
+    this.discardUpload(file)
+    this.syncInput()
+    this.renderFileList()
+    this.showFileErrors([])
+
+    this.dispatch("remove", { detail: { file } })
+  }
+
+  // Existing attachments are kept by their hidden signed id; dropping the item
+  // drops the id from the submission.
+  removeExisting(event) {
+    const item = this.existingItemTargets.find((el) => el.contains(event.currentTarget))
+    if (!item) return
+
+    item.remove()
+    this.showFileErrors([])
+    this.dispatch("remove", { detail: { existing: true } })
+  }
+
+  syncInput() {
+    if (!this.hasInputTarget) return
+
+    // Directly uploaded files are submitted as signed ids, not as file data.
+    const dataTransfer = new DataTransfer()
+    if (!this.directUploadUrlValue) this.files.forEach((file) => dataTransfer.items.add(file))
+    this.inputTarget.files = dataTransfer.files
+  }
+
+  renderFileList() {
+    if (!this.hasListTarget) return
+
+    this.statusElements.clear()
+    this.listTarget.replaceChildren(...this.files.map((file) => this.buildFileItem(file)))
+    this.listTarget.classList.toggle("hidden", this.files.length === 0)
+    this.files.forEach((file) => this.renderUploadState(file))
+  }
+
+  buildFileItem(file) {
+    const item = document.createElement("li")
+    item.className = "flex items-center gap-3 p-2 bg-white border border-slate-200 rounded-lg"
+
+    let thumbnail
+    if (this.isImage(file)) {
+      thumbnail = document.createElement("img")
+      thumbnail.src = this.objectUrlFor(file)
+      thumbnail.alt = ""
+      thumbnail.className = "w-10 h-10 rounded object-cover border border-slate-200"
+    } else {
+      thumbnail = document.createElement("span")
+      thumbnail.className =
+        "w-10 h-10 rounded bg-slate-100 flex items-center justify-center text-[10px] font-semibold uppercase text-slate-500"
+      thumbnail.textContent = (file.name.split(".").pop() || "file").slice(0, 4)
+    }
+
+    const details = document.createElement("div")
+    details.className = "flex-1 min-w-0"
+
+    const name = document.createElement("p")
+    name.className = "text-sm font-medium text-slate-900 truncate"
+    name.textContent = file.name
+
+    const size = document.createElement("p")
+    size.className = "text-xs text-slate-500"
+    size.textContent = this.formatFileSize(file.size)
+
+    details.append(name, size)
+
+    if (this.directUploadUrlValue) {
+      const status = document.createElement("div")
+      status.className = "mt-1"
+      details.append(status)
+      this.statusElements.set(file, status)
+    }
+
+    const remove = document.createElement("button")
+    remove.type = "button"
+    remove.className = "w-6 h-6 flex items-center justify-center rounded-full text-slate-400 hover:text-white hover:bg-red-500"
+    remove.setAttribute("aria-label", `Remove ${file.name}`)
+    remove.textContent = "×"
+    remove.addEventListener("click", () => this.removeFile(file))
+
+    item.append(thumbnail, details, remove)
+    return item
+  }
+
+  objectUrlFor(file) {
+    if (!this.objectUrls.has(file)) this.objectUrls.set(file, URL.createObjectURL(file))
+    return this.objectUrls.get(file)
+  }
+
+  revokeObjectUrl(file) {
+    const url = this.objectUrls.get(file)
+    if (!url) return
+
+    URL.revokeObjectURL(url)
+    this.objectUrls.delete(file)
+  }
+
+  showFileErrors(messages) {
+    if (!this.hasErrorsTarget) return
+
+    this.errorsTarget.replaceChildren(
+      ...messages.map((message) => {
+        const line = document.createElement("p")
+        line.textContent = message
+        return line
+      }),
+    )
+    this.errorsTarget.classList.toggle("hidden", messages.length === 0)
+  }
+
+  // ---- direct upload ----
+
+  async startDirectUpload(file) {
+    const upload = { status: "uploading", progress: 0 }
+    this.uploads.set(file, upload)
+    this.updatePending()
+    this.renderUploadState(file)
+
+    let DirectUpload
+    try {
+      DirectUpload = (await import("@rails/activestorage")).DirectUpload
+    } catch (_e) {
+      this.finishUpload(file, upload, "Direct uploads are not available (@rails/activestorage is not loaded).")
+      return
+    }
+
+    const directUpload = new DirectUpload(file, this.directUploadUrlValue, {
+      directUploadWillStoreFileWithXHR: (xhr) => {
+        upload.xhr = xhr
+        xhr.upload.addEventListener("progress", (event) => {
+          if (!event.lengthComputable || this.uploads.get(file) !== upload) return
+
+          upload.progress = Math.round((event.loaded / event.total) * 100)
+          this.renderUploadState(file)
+        })
+      },
     })
+
+    directUpload.create((error, blob) => this.finishUpload(file, upload, error, blob))
+  }
+
+  finishUpload(file, upload, error, blob) {
+    // Cancelled, retried or removed in the meantime.
+    if (this.uploads.get(file) !== upload || upload.status !== "uploading") return
+
+    if (error) {
+      upload.status = "error"
+      upload.error = String(error)
+    } else {
+      upload.status = "done"
+      upload.field = this.signedIdField(blob.signed_id)
+      this.element.append(upload.field)
+      this.dispatch("uploaded", { detail: { file, signedId: blob.signed_id } })
+    }
+
+    this.updatePending()
+    this.renderUploadState(file)
+  }
+
+  cancelUpload(file) {
+    const upload = this.uploads.get(file)
+    if (!upload || upload.status !== "uploading") return
+
+    upload.status = "cancelled"
+    upload.xhr?.abort()
+    this.updatePending()
+    this.renderUploadState(file)
+  }
+
+  retryUpload(file) {
+    this.discardUpload(file)
+    this.startDirectUpload(file)
+  }
+
+  discardUpload(file) {
+    const upload = this.uploads.get(file)
+    if (!upload) return
+
+    if (upload.status === "uploading") {
+      upload.status = "cancelled"
+      upload.xhr?.abort()
+    }
+    upload.field?.remove()
+    this.uploads.delete(file)
+    this.updatePending()
+    this.renderUploadState(file)
+  }
+
+  signedIdField(signedId) {
+    const field = document.createElement("input")
+    field.type = "hidden"
+    field.name = this.hasInputTarget ? this.inputTarget.name : ""
+    field.value = signedId
+    return field
+  }
+
+  get pendingUploads() {
+    return [...this.uploads.values()].filter((upload) => upload.status === "uploading").length
+  }
+
+  // Other upload fields in the same form may still be pending, so the buttons
+  // are only re-enabled once none of them is.
+  updatePending() {
+    this.element.toggleAttribute("data-admin-suite-uploads-pending", this.pendingUploads > 0)
+    if (!this.form) return
+
+    const pending = this.form.querySelector("[data-admin-suite-uploads-pending]") !== null
+    this.form.querySelectorAll('[type="submit"]').forEach((button) => {
+      button.disabled = pending
+    })
+  }
+
+  onSubmit(event) {
+    if (this.pendingUploads === 0) return
+
+    event.preventDefault()
+    event.stopImmediatePropagation()
+  }
+
+  renderUploadState(file) {
+    const container = this.multipleValue
+      ? this.statusElements.get(file)
+      : this.hasProgressTarget && this.progressTarget
+    if (!container) return
+
+    const upload = this.uploads.get(file)
+    if (!upload) {
+      container.replaceChildren()
+      if (!this.multipleValue) this.hideProgress()
+      return
+    }
+
+    container.classList.remove("hidden")
+
+    const row = document.createElement("div")
+    row.className = "flex items-center gap-2 text-xs"
+
+    const message = document.createElement("span")
+
+    switch (upload.status) {
+      case "uploading":
+        message.className = "text-slate-500 tabular-nums"
+        message.textContent = `${upload.progress}%`
+        row.append(this.progressBar(upload.progress), message, this.uploadButton("Cancel", () => this.cancelUpload(file)))
+        break
+      case "done":
+        message.className = "text-green-600"
+        message.textContent = "Uploaded"
+        row.append(message)
+        break
+      default:
+        message.className = "text-red-600"
+        message.textContent = upload.status === "cancelled" ? "Upload cancelled" : upload.error
+        row.append(message, this.uploadButton("Retry", () => this.retryUpload(file)))
+    }
+
+    container.replaceChildren(row)
+  }
+
+  progressBar(percent) {
+    const track = document.createElement("div")
+    track.className = "flex-1 w-full bg-slate-200 rounded-full h-2"
+
+    const bar = document.createElement("div")
+    bar.className = "bg-amber-500 h-2 rounded-full transition-all duration-300"
+    bar.style.width = `${percent}%`
+
+    track.append(bar)
+    return track
+  }
+
+  uploadButton(label, handler) {
+    const button = document.createElement("button")
+    button.type = "button"
+    button.className = "font-medium text-slate-600 hover:text-slate-900 underline"
+    button.textContent = label
+    button.addEventListener("click", handler)
+    return button
+  }
+
+  validateType(file) {
+    return validateType(file, this.acceptValue)
   }
 
   validateSize(file) {
-    return file.size <= this.maxSizeValue
+    return validateSize(file, this.maxSizeValue)
   }
 
   isImage(file) {
@@ -133,18 +843,15 @@ export default class extends Controller {
   showFileInfo(file) {
     if (!this.hasFilenameTarget) return
 
-    const fileName = file.name
-    const fileSize = this.formatFileSize(file.size)
+    const name = document.createElement("span")
+    name.className = "font-medium text-slate-900"
+    name.textContent = file.name
+
+    const size = document.createElement("span")
+    size.className = "text-slate-500"
+    size.textContent = `(${this.formatFileSize(file.size)})`
 
-    this.filenameTarget.innerHTML = `
-      <div class="flex items-center gap-2">
-        <svg class="w-5 h-5 text-green-500" fill="none" stroke="currentColor" viewBox="0 0 24 24">
-          <path stroke-linecap="round" stroke-linejoin="round" stroke-width="2" d="M5 13l4 4L19 7"></path>
-        </svg>
-        <span class="font-medium text-slate-900">${fileName}</span>
-        <span class="text-slate-500">(${fileSize})</span>
-      </div>
-    `
+    this.showStatus(this.statusRow("", this.icon(CHECK_ICON, "w-5 h-5 text-green-500"), name, size))
   }
 
   showImagePreview(file) {
@@ -159,6 +866,10 @@ export default class extends Controller {
   }
 
   showExistingPreview() {
+    if (this.hasExistingFileTarget) {
+      this.existingFileTarget.classList.remove("hidden")
+    }
+
     if (this.hasImagePreviewTarget && this.existingUrlValue) {
       this.imagePreviewTarget.src = this.existingUrlValue
       this.imagePreviewTarget.classList.remove("hidden")
@@ -172,30 +883,57 @@ export default class extends Controller {
   showError(message) {
     if (!this.hasFilenameTarget) return
 
-    this.filenameTarget.innerHTML = `
-      <div class="flex items-center gap-2 text-red-600">
-        <svg class="w-5 h-5" fill="none" stroke="currentColor" viewBox="0 0 24 24">
-          <path stroke-linecap="round" stroke-linejoin="round" stroke-width="2" d="M12 8v4m0 4h.01M21 12a9 9 0 11-18 0 9 9 0 0118 0z"></path>
-        </svg>
-        <span>${message}</span>
-      </div>
-    `
+    const text = document.createElement("span")
+    text.textContent = message
+
+    const row = this.statusRow("text-red-600", this.icon(ALERT_ICON, "w-5 h-5"), text)
+    row.setAttribute("role", "alert")
+    this.showStatus(row)
 
     if (this.hasInputTarget) {
       this.inputTarget.value = ""
     }
   }
 
+  showStatus(element) {
+    this.filenameTarget.replaceChildren(element)
+    this.filenameTarget.classList.remove("hidden")
+  }
+
+  statusRow(className, ...children) {
+    const row = document.createElement("div")
+    row.className = `flex items-center gap-2 ${className}`.trim()
+    row.append(...children)
+    return row
+  }
+
+  icon(path, className) {
+    const svg = document.createElementNS("http://www.w3.org/2000/svg", "svg")
+    svg.setAttribute("class", className)
+    svg.setAttribute("fill", "none")
+    svg.setAttribute("stroke", "currentColor")
+    svg.setAttribute("viewBox", "0 0 24 24")
+    svg.setAttribute("aria-hidden", "true")
+
+    const line = document.createElementNS("http://www.w3.org/2000/svg", "path")
+    line.setAttribute("stroke-linecap", "round")
+    line.setAttribute("stroke-linejoin", "round")
+    line.setAttribute("stroke-width", "2")
+    line.setAttribute("d", path)
+
+    svg.append(line)
+    return svg
+  }
+
   showProgress(percent) {
     if (!this.hasProgressTarget) return
 
+    const label = document.createElement("span")
+    label.className = "text-xs text-slate-500"
+    label.textContent = `${percent}%`
+
     this.progressTarget.classList.remove("hidden")
-    this.progressTarget.innerHTML = `
-      <div class="w-full bg-slate-200 rounded-full h-2">
-        <div class="bg-amber-500 h-2 rounded-full transition-all duration-300" style="width: ${percent}%"></div>
-      </div>
-      <span class="text-xs text-slate-500">${percent}%</span>
-    `
+    this.progressTarget.replaceChildren(this.progressBar(percent), label)
   }
 
   hideProgress() {
@@ -205,14 +943,28 @@ export default class extends Controller {
   }
 
   remove() {
+    const replacing = this.attachmentState === "replace"
+
     if (this.hasInputTarget) {
       this.inputTarget.value = ""
     }
 
+    this.closeImageEditor()
+
+    this.uploads.forEach((_upload, file) => this.discardUpload(file))
+
+    if (this.multipleValue) {
+      this.files.forEach((file) => this.revokeObjectUrl(file))
+      this.files = []
+      this.renderFileList()
+      this.showFileErrors([])
+    }
+
     if (this.hasFilenameTarget) {
-      this.filenameTarget.innerHTML = `
-        <span class="text-slate-500">No file selected</span>
-      `
+      const empty = document.createElement("span")
+      empty.className = "text-slate-500"
+      empty.textContent = "No file selected"
+      this.filenameTarget.replaceChildren(empty)
     }
 
     if (this.hasImagePreviewTarget) {
@@ -224,15 +976,31 @@ export default class extends Controller {
       this.removeButtonTarget.classList.add("hidden")
     }
 
+    if (this.hasExistingFileTarget) {
+      this.existingFileTarget.classList.add("hidden")
+    }
+
+    // Dropping a pending replacement brings the existing attachment back;
+    // otherwise the existing attachment is marked for removal.
+    if (this.hasStateTarget) {
+      if (replacing) {
+        this.setAttachmentState("keep")
+        if (this.hasFilenameTarget) this.filenameTarget.classList.add("hidden")
+        this.showExistingPreview()
+      } else {
+        this.setAttachmentState("remove")
+        this.showRemovalNotice()
+      }
+    }
+
     this.dispatch("remove")
   }
 
   formatFileSize(bytes) {
-    if (bytes === 0) return "0 Bytes"
-    const k = 1024
-    const sizes = ["Bytes", "KB", "MB", "GB"]
-    const i = Math.floor(Math.log(bytes) / Math.log(k))
-    return parseFloat((bytes / Math.pow(k, i)).toFixed(2)) + " " + sizes[i]
+    return formatFileSize(bytes)
   }
 }
 
+function sameFile(a, b) {
+  return a.name === b.name && a.size === b.size && a.lastModified === b.lastModified
+}
@@ -0,0 +1,125 @@
+// File validation rules shared by Admin Suite upload controllers.
+//
+// Pinned by importmap as "controllers/admin_suite/file_validation" (it is not a
+// controller, so Stimulus' eager loading skips it).
+
+export const DEFAULT_MAX_SIZE = 10485760
+
+// Checks `file` against an HTML `accept` string ("image/*,.pdf,text/csv").
+export function validateType(file, accept) {
+  if (!accept) return true
+
+  const acceptTypes = accept.split(",").map((t) => t.trim())
+
+  return acceptTypes.some((type) => {
+    if (type === "*/*") return true
+    if (type.endsWith("/*")) {
+      const category = type.replace("/*", "")
+      return file.type.startsWith(category)
+    }
+    if (type.startsWith(".")) {
+      return file.name.toLowerCase().endsWith(type.toLowerCase())
+    }
+    return file.type === type
+  })
+}
+
+export function validateSize(file, maxSize) {
+  return file.size <= maxSize
+}
+
+// Returns an error message, or null when the file passes both checks.
+export function fileError(file, { accept = "", maxSize = DEFAULT_MAX_SIZE } = {}) {
+  if (!validateType(file, accept)) {
+    return `Invalid file type. Allowed: ${accept || "all files"}`
+  }
+
+  if (!validateSize(file, maxSize)) {
+    return `File too large. Maximum size: ${formatFileSize(maxSize)}`
+  }
+
+  return null
+}
+
+export function formatFileSize(bytes) {
+  if (bytes === 0) return "0 Bytes"
+  const k = 1024
+  const sizes = ["Bytes", "KB", "MB", "GB"]
+  const i = Math.floor(Math.log(bytes) / Math.log(k))
+  return parseFloat((bytes / Math.pow(k, i)).toFixed(2)) + " " + sizes[i]
+}
+
+// Leading-byte signatures of common formats. `offset` is where `bytes` start.
+const SIGNATURES = [
+  { type: "image/png", bytes: [0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a] },
+  { type: "image/jpeg", bytes: [0xff, 0xd8, 0xff] },
+  { type: "image/gif", bytes: [0x47, 0x49, 0x46, 0x38] },
+  { type: "image/webp", bytes: [0x57, 0x45, 0x42, 0x50], offset: 8 },
+  { type: "image/bmp", bytes: [0x42, 0x4d] },
+  { type: "image/x-icon", bytes: [0x00, 0x00, 0x01, 0x00] },
+  { type: "image/avif", bytes: [0x66, 0x74, 0x79, 0x70, 0x61, 0x76, 0x69, 0x66], offset: 4 },
+  { type: "image/heic", bytes: [0x66, 0x74, 0x79, 0x70, 0x68, 0x65, 0x69, 0x63], offset: 4 },
+  { type: "application/pdf", bytes: [0x25, 0x50, 0x44, 0x46, 0x2d] },
+  { type: "application/zip", bytes: [0x50, 0x4b, 0x03, 0x04] },
+  { type: "application/gzip", bytes: [0x1f, 0x8b] },
+  { type: "video/mp4", bytes: [0x66, 0x74, 0x79, 0x70], offset: 4 },
+  { type: "application/x-msdownload", bytes: [0x4d, 0x5a], executable: true },
+  { type: "application/x-executable", bytes: [0x7f, 0x45, 0x4c, 0x46], executable: true },
+  { type: "application/x-mach-binary", bytes: [0xcf, 0xfa, 0xed, 0xfe], executable: true },
+  { type: "application/x-mach-binary", bytes: [0xca, 0xfe, 0xba, 0xbe], executable: true },
+]
+
+const EXTENSION_TYPES = {
+  png: "image/png",
+  jpg: "image/jpeg",
+  jpeg: "image/jpeg",
+  gif: "image/gif",
+  webp: "image/webp",
+  bmp: "image/bmp",
+  ico: "image/x-icon",
+  avif: "image/avif",
+  heic: "image/heic",
+  pdf: "application/pdf",
+}
+
+// Detects the file's format from its first bytes. Resolves to a signature
+// ({ type, executable }) or null when the format is not recognised.
+export async function sniffFileType(file) {
+  const header = new Uint8Array(await file.slice(0, 16).arrayBuffer())
+
+  return (
+    SIGNATURES.find(({ bytes, offset = 0 }) =>
+      bytes.every((byte, index) => header[offset + index] === byte),
+    ) || null
+  )
+}
+
+// Returns an error message when the file's content contradicts its declared
+// type or extension (a renamed executable, a non-image with an image
+// extension, a non-PDF ".pdf"), or null. Formats without a reliable signature
+// (text, SVG, office documents) are let through.
+export async function contentError(file) {
+  let detected
+  try {
+    detected = await sniffFileType(file)
+  } catch (_e) {
+    return "File could not be read."
+  }
+
+  const extension = file.name.includes(".") ? file.name.split(".").pop().toLowerCase() : ""
+  const claimed = EXTENSION_TYPES[extension] || file.type
+
+  if (detected?.executable) {
+    return "File content is an executable program, which is not allowed."
+  }
+
+  if (claimed.startsWith("image/") && claimed !== "image/svg+xml" && !detected?.type.startsWith("image/")) {
+    return "File content is not a valid image."
+  }
+
+  if (claimed === "application/pdf" && detected?.type !== "application/pdf") {
+    return "File content is not a valid PDF."
+  }
+
+  return null
+}
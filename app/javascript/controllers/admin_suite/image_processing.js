@@ -0,0 +1,125 @@
+// Canvas helpers for the file upload controller's image editing step
+// (crop, rotate, downscale, re-encode).
+//
+// Pinned by importmap as "controllers/admin_suite/image_processing" (it is not a
+// controller, so Stimulus' eager loading skips it).
+
+// Types the editor can re-encode without losing anything canvas can't keep
+// (animation in GIFs, vectors in SVGs).
+export const EDITABLE_TYPES = ["image/jpeg", "image/png", "image/webp"]
+
+// "16:9", "16/9", "1.5" or 1.5 -> 1.777..., 1.5; anything else -> null (free crop).
+export function parseAspectRatio(value) {
+  if (typeof value === "number") return value > 0 ? value : null
+
+  const match = String(value || "").trim().match(/^(\d+(?:\.\d+)?)\s*(?:[:/]\s*(\d+(?:\.\d+)?))?$/)
+  if (!match) return null
+
+  const ratio = match[2] ? Number(match[1]) / Number(match[2]) : Number(match[1])
+  return Number.isFinite(ratio) && ratio > 0 ? ratio : null
+}
+
+export function loadImage(file) {
+  return new Promise((resolve, reject) => {
+    const url = URL.createObjectURL(file)
+    const image = new Image()
+
+    image.onload = () => {
+      URL.revokeObjectURL(url)
+      resolve(image)
+    }
+    image.onerror = () => {
+      URL.revokeObjectURL(url)
+      reject(new Error("The image could not be read."))
+    }
+    image.src = url
+  })
+}
+
+// Size of the image once rotated by `rotation` degrees (a multiple of 90).
+export function rotatedSize(image, rotation) {
+  const sideways = Math.abs(rotation) % 180 === 90
+
+  return {
+    width: sideways ? image.naturalHeight : image.naturalWidth,
+    height: sideways ? image.naturalWidth : image.naturalHeight,
+  }
+}
+
+// Largest centred crop with `aspectRatio` (the whole image when null), scaled
+// by `zoom` (0..1].
+export function centeredCrop(width, height, aspectRatio, zoom = 1) {
+  let cropWidth = width
+  let cropHeight = height
+
+  if (aspectRatio) {
+    if (width / height > aspectRatio) {
+      cropWidth = height * aspectRatio
+    } else {
+      cropHeight = width / aspectRatio
+    }
+  }
+
+  cropWidth *= zoom
+  cropHeight *= zoom
+
+  return {
+    x: (width - cropWidth) / 2,
+    y: (height - cropHeight) / 2,
+    width: cropWidth,
+    height: cropHeight,
+  }
+}
+
+// Keeps `crop` inside a `width` x `height` image.
+export function clampCrop(crop, width, height) {
+  return {
+    ...crop,
+    x: Math.min(Math.max(crop.x, 0), width - crop.width),
+    y: Math.min(Math.max(crop.y, 0), height - crop.height),
+  }
+}
+
+// Draws the rotated image, cropped to `crop` (rotated coordinates), onto a new
+// canvas no larger than `maxDimension` on its longest side (0 = no limit).
+export function renderImage(image, { rotation = 0, crop = null, maxDimension = 0 } = {}) {
+  const { width, height } = rotatedSize(image, rotation)
+  const area = crop || { x: 0, y: 0, width, height }
+  const longest = Math.max(area.width, area.height)
+  const scale = maxDimension && longest > maxDimension ? maxDimension / longest : 1
+
+  const canvas = document.createElement("canvas")
+  canvas.width = Math.max(1, Math.round(area.width * scale))
+  canvas.height = Math.max(1, Math.round(area.height * scale))
+
+  const context = canvas.getContext("2d")
+  context.imageSmoothingQuality = "high"
+  context.scale(scale, scale)
+  context.translate(-area.x, -area.y)
+  context.translate(width / 2, height / 2)
+  context.rotate((rotation * Math.PI) / 180)
+  context.drawImage(image, -image.naturalWidth / 2, -image.naturalHeight / 2)
+
+  return canvas
+}
+
+// Encodes `canvas` as a File named after `original`, in `type` (defaults to the
+// original's type) at `quality` (0..1, JPEG/WebP only).
+export function canvasToFile(canvas, original, { type = original.type, quality = 0.9 } = {}) {
+  return new Promise((resolve, reject) => {
+    canvas.toBlob(
+      (blob) => {
+        if (!blob) {
+          reject(new Error("The image could not be processed."))
+          return
+        }
+
+        const extension = blob.type.split("/")[1]?.replace("jpeg", "jpg")
+        const name = extension ? original.name.replace(/(\.[^.]+)?$/, `.${extension}`) : original.name
+        resolve(new File([blob], name, { type: blob.type, lastModified: Date.now() }))
+      },
+      type,
+      quality,
+    )
+  })
+}
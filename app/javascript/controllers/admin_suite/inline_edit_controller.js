@@ -0,0 +1,270 @@
+import { Controller } from "@hotwired/stimulus"
+
+const INPUT_CLASS = "form-input w-full text-sm py-1"
+
+/**
+ * Inline Edit Controller (Admin Suite)
+ *
+ * Edits one index table cell in place. Double-clicking the cell, or pressing
+ * Enter (or F2) while it is focused, replaces the `display` target with an
+ * editor for `type`: a text, number or date input, a select, or a searchable
+ * select (the searchable select controller, fed `options` / `searchUrl`).
+ * Enter, a choice or leaving the field saves; Escape cancels.
+ *
+ * Saving PATCHes `param=value` to the record's update `url` as JSON. The cell
+ * shows the new value straight away; if the update fails it rolls back to the
+ * previous value and shows the validation errors under it.
+ */
+export default class extends Controller {
+  static targets = ["display"]
+  static values = {
+    url: String,
+    param: String,
+    field: String,
+    type: { type: String, default: "text" },
+    value: { type: String, default: "" },
+    options: { type: Array, default: [] },
+    searchUrl: { type: String, default: "" },
+  }
+
+  connect() {
+    this.editor = null
+    this.saving = false
+  }
+
+  disconnect() {
+    this.request?.abort()
+  }
+
+  // Keys on the cell itself; the editor handles its own.
+  keydown(event) {
+    if (event.target !== this.element) return
+    if (event.key !== "Enter" && event.key !== "F2") return
+
+    event.preventDefault()
+    this.edit()
+  }
+
+  edit(event) {
+    if (this.editor || this.saving) return
+    if (event?.target.closest("a, button, form")) return
+
+    this.hideError()
+    this.editor = this.typeValue === "searchable_select" ? this.buildSearchableSelect() : this.buildField()
+    this.displayTarget.classList.add("hidden")
+    this.element.append(this.editor.element)
+    this.editor.focus()
+  }
+
+  // Text, number and date inputs, and plain selects.
+  buildField() {
+    let field
+    if (this.typeValue === "select") {
+      field = document.createElement("select")
+      field.append(new Option("", ""))
+      this.appendOptions(field)
+    } else {
+      field = document.createElement("input")
+      field.type = ["number", "date"].includes(this.typeValue) ? this.typeValue : "text"
+      if (field.type === "number") field.step = "any"
+    }
+
+    field.className = INPUT_CLASS
+    field.value = this.valueValue
+    field.setAttribute("aria-label", `Edit ${this.fieldValue.replace(/_/g, " ")}`)
+
+    const commit = () => this.commit(field.value, this.fieldLabel(field))
+    field.addEventListener("keydown", (event) => {
+      if (event.key === "Enter") {
+        event.preventDefault()
+        commit()
+      } else if (event.key === "Escape") {
+        event.preventDefault()
+        this.cancel()
+      }
+    })
+    if (field.tagName === "SELECT") field.addEventListener("change", commit)
+    field.addEventListener("blur", () => {
+      if (this.editor?.element === field) commit()
+    })
+
+    return { element: field, focus: () => field.focus() }
+  }
+
+  appendOptions(select) {
+    const groups = new Map()
+
+    this.optionsValue.forEach((option) => {
+      const element = new Option(option.label, String(option.value ?? ""))
+      if (!option.group) {
+        select.append(element)
+        return
+      }
+
+      if (!groups.has(option.group)) {
+        const group = document.createElement("optgroup")
+        group.label = option.group
+        groups.set(option.group, group)
+        select.append(group)
+      }
+      groups.get(option.group).append(element)
+    })
+  }
+
+  fieldLabel(field) {
+    if (field.tagName === "SELECT") return field.value === "" ? "" : field.selectedOptions[0]?.textContent || field.value
+    return field.value
+  }
+
+  // Markup the searchable select controller connects to; a choice saves.
+  buildSearchableSelect() {
+    const wrapper = document.createElement("div")
+    wrapper.className = "relative min-w-[12rem]"
+    wrapper.dataset.controller = "admin-suite--searchable-select"
+    wrapper.setAttribute("data-admin-suite--searchable-select-options-value", JSON.stringify(this.optionsValue))
+    wrapper.setAttribute("data-admin-suite--searchable-select-search-url-value", this.searchUrlValue)
+
+    const input = document.createElement("input")
+    input.type = "hidden"
+    input.value = this.valueValue
+    input.setAttribute("data-admin-suite--searchable-select-target", "input")
+
+    const search = document.createElement("input")
+    search.type = "text"
+    search.className = INPUT_CLASS
+    search.autocomplete = "off"
+    search.placeholder = "Search..."
+    search.value = this.displayTarget.textContent.trim()
+    search.setAttribute("aria-label", `Edit ${this.fieldValue.replace(/_/g, " ")}`)
+    search.setAttribute("data-admin-suite--searchable-select-target", "search")
+    search.setAttribute(
+      "data-action",
+      "input->admin-suite--searchable-select#search focus->admin-suite--searchable-select#open keydown->admin-suite--searchable-select#keydown",
+    )
+
+    const dropdown = document.createElement("div")
+    dropdown.className = "absolute z-40 w-full mt-1 bg-white border border-slate-200 rounded-lg shadow-lg hidden max-h-60 overflow-y-auto"
+    dropdown.setAttribute("data-admin-suite--searchable-select-target", "dropdown")
+
+    wrapper.append(input, search, dropdown)
+
+    wrapper.addEventListener("admin-suite--searchable-select:change", () => {
+      this.commit(input.value, search.value, { focus: true })
+    })
+    // The select closes its own dropdown on Escape first.
+    wrapper.addEventListener("keydown", (event) => {
+      if (event.key === "Escape" && dropdown.classList.contains("hidden")) this.cancel()
+    })
+    // Leaving without a choice keeps the old value.
+    wrapper.addEventListener("focusout", () => {
+      setTimeout(() => {
+        if (this.editor?.element === wrapper && !wrapper.contains(document.activeElement)) this.cancel({ focus: false })
+      }, 0)
+    })
+
+    return { element: wrapper, focus: () => search.focus() }
+  }
+
+  cancel({ focus = true } = {}) {
+    this.closeEditor({ focus })
+  }
+
+  closeEditor({ focus = false } = {}) {
+    if (!this.editor) return
+
+    const { element } = this.editor
+    this.editor = null
+    element.remove()
+    this.displayTarget.classList.remove("hidden")
+    if (focus) this.element.focus()
+  }
+
+  // Shows `value` right away and saves it, rolling back when saving fails.
+  async commit(value, label, { focus = false } = {}) {
+    const active = this.editor && this.editor.element.contains(document.activeElement)
+    this.closeEditor({ focus: focus || active })
+    if (value === this.valueValue) return
+
+    const previous = { value: this.valueValue, html: this.displayTarget.innerHTML }
+    this.valueValue = value
+    this.displayTarget.textContent = label || "—"
+    this.element.classList.add("opacity-60")
+    this.element.setAttribute("aria-busy", "true")
+    this.saving = true
+
+    try {
+      const { ok, data } = await this.save(value)
+      if (ok) {
+        const saved = data?.[this.fieldValue]
+        if (saved !== undefined) this.valueValue = saved === null ? "" : String(saved)
+      } else {
+        this.rollback(previous)
+        this.showError(errorMessages(data?.errors, this.fieldValue).join(", ") || "Could not save this value.")
+      }
+    } catch (error) {
+      if (error.name === "AbortError") return
+      this.rollback(previous)
+      this.showError("Could not save this value.")
+    } finally {
+      this.saving = false
+      this.element.classList.remove("opacity-60")
+      this.element.removeAttribute("aria-busy")
+    }
+  }
+
+  async save(value) {
+    this.request = new AbortController()
+    const csrfToken = document.querySelector('meta[name="csrf-token"]')?.content
+    const body = new FormData()
+    body.append(this.paramValue, value)
+
+    const response = await fetch(this.urlValue, {
+      method: "PATCH",
+      headers: {
+        Accept: "application/json",
+        ...(csrfToken ? { "X-CSRF-Token": csrfToken } : {}),
+      },
+      body,
+      signal: this.request.signal,
+    })
+    const data = await response.json().catch(() => null)
+    return { ok: response.ok, data }
+  }
+
+  rollback(previous) {
+    this.valueValue = previous.value
+    this.displayTarget.innerHTML = previous.html
+  }
+
+  showError(message) {
+    this.hideError()
+
+    this.errorElement = document.createElement("p")
+    this.errorElement.className = "mt-1 text-xs text-red-600"
+    this.errorElement.setAttribute("role", "alert")
+    this.errorElement.textContent = message
+    this.element.append(this.errorElement)
+  }
+
+  hideError() {
+    this.errorElement?.remove()
+    this.errorElement = null
+  }
+}
+
+// Full messages from a `{ attribute: [messages] }` (or array) error payload,
+// the edited attribute's (and base) first.
+function errorMessages(errors, field) {
+  if (Array.isArray(errors)) return errors.map(String)
+  if (!errors || typeof errors !== "object") return []
+
+  const entries = Object.entries(errors)
+  const own = entries.filter(([name]) => name === field || name === "base")
+  return (own.length ? own : entries).flatMap(([name, messages]) =>
+    [].concat(messages).map((message) => {
+      if (name === "base") return String(message)
+      const attribute = name.replace(/_/g, " ")
+      return `${attribute.charAt(0).toUpperCase()}${attribute.slice(1)} ${message}`
+    }),
+  )
+}
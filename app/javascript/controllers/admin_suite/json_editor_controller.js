@@ -1,29 +1,93 @@
 import { Controller } from "@hotwired/stimulus"
 
+const TYPES = ["string", "number", "boolean", "null", "object", "array"]
+
+// Tree inputs avoid `.form-input`, whose baseline `display`/`width` would win
+// over Tailwind utilities.
+const TREE_INPUT_CLASS = "px-2 py-1 text-sm font-mono bg-white border border-slate-300 rounded-md focus:outline-none focus:border-indigo-500"
+
 // JSON Editor Controller (Admin Suite)
+//
+// Syntax errors are reported with a line/column (located by our own scanner,
+// so messages are the same in every browser) and can be jumped to.
+//
+// `toggleChanges` shows the added/removed/changed paths compared with the value
+// the page was loaded with.
+//
+// Optionally validates the document against a JSON Schema (`schema` value).
+// Supported keywords: type, enum, const, required, properties,
+// additionalProperties, items, minItems, maxItems, uniqueItems, minLength,
+// maxLength, pattern, minimum, maximum, exclusiveMinimum, exclusiveMaximum,
+// allOf, anyOf, oneOf, not and local `$ref`s (`#/definitions/...`, `#/$defs/...`).
+//
+// `toggleMode` switches between the raw textarea and a tree view where objects
+// and arrays can be expanded/collapsed, scalars edited through typed inputs,
+// keys/items added or removed and array items reordered. The textarea stays the
+// source of truth for submission: every tree edit is written back into it.
 export default class extends Controller {
-  static targets = ["input", "error"]
+  static targets = ["input", "error", "tree", "modeButton", "changes", "changesButton"]
+  static values = {
+    schema: { type: Object, default: {} },
+  }
+
+  connect() {
+    this.onSubmit = this.onSubmit.bind(this)
+    this.form = this.element.closest("form")
+    this.form?.addEventListener("submit", this.onSubmit)
+
+    this.treeMode = false
+    this.collapsed = new Set()
+    this.original = this.hasInputTarget ? parseOrUndefined(this.inputTarget.defaultValue) : undefined
 
+    if (this.hasSchema) this.validate()
+  }
+
+  disconnect() {
+    this.form?.removeEventListener("submit", this.onSubmit)
+  }
+
+  get hasSchema() {
+    return Object.keys(this.schemaValue).length > 0
+  }
+
+  // Returns true when the document is valid (or empty).
   validate() {
-    if (!this.hasInputTarget) return
+    if (!this.hasInputTarget) return true
 
     const value = this.inputTarget.value.trim()
 
     if (value === "") {
       this.clearError()
-      return
+      this.updateChanges(undefined)
+      return true
     }
 
+    let parsed
     try {
-      JSON.parse(value)
-      this.clearError()
-      this.inputTarget.classList.remove("border-red-500")
-      this.inputTarget.classList.add("border-slate-300")
+      parsed = JSON.parse(value)
     } catch (e) {
-      this.showError(e.message)
-      this.inputTarget.classList.remove("border-slate-300")
-      this.inputTarget.classList.add("border-red-500")
+      this.showSyntaxError(e)
+      this.markInvalid()
+      return false
+    }
+
+    this.updateChanges(parsed)
+
+    if (this.treeMode && !this.writingFromTree) {
+      this.document = parsed
+      this.renderTree()
+    }
+
+    const errors = this.hasSchema ? validateSchema(parsed, this.schemaValue) : []
+    if (errors.length) {
+      this.showSchemaErrors(errors)
+      this.markInvalid()
+      return false
     }
+
+    this.clearError()
+    this.markValid()
+    return true
   }
 
   format(event) {
@@ -37,19 +101,498 @@ export default class extends Controller {
       const parsed = JSON.parse(value)
       const formatted = JSON.stringify(parsed, null, 2)
       this.inputTarget.value = formatted
-      this.clearError()
-      this.inputTarget.classList.remove("border-red-500")
-      this.inputTarget.classList.add("border-slate-300")
+      this.validate()
+    } catch (e) {
+      this.showSyntaxError(e)
+      this.markInvalid()
+    }
+  }
+
+  onSubmit(event) {
+    if (!this.hasSchema || this.validate()) return
+
+    event.preventDefault()
+    event.stopImmediatePropagation()
+    this.inputTarget.focus()
+  }
+
+  jumpToError(event) {
+    event?.preventDefault()
+    if (this.errorPosition === undefined || this.treeMode) return
+
+    const el = this.inputTarget
+    const position = Math.min(this.errorPosition, el.value.length)
+    el.focus()
+    el.setSelectionRange(position, Math.min(position + 1, el.value.length))
+
+    // Scroll the offending line to the middle of the textarea.
+    const { line } = lineAndColumn(el.value, position)
+    const lineHeight = parseFloat(getComputedStyle(el).lineHeight) || 20
+    el.scrollTop = Math.max(0, (line - 1) * lineHeight - el.clientHeight / 2)
+  }
+
+  // ---- changes view ----
+
+  toggleChanges(event) {
+    event?.preventDefault()
+    if (!this.hasChangesTarget) return
+
+    const hidden = this.changesTarget.classList.toggle("hidden")
+    if (this.hasChangesButtonTarget) {
+      this.changesButtonTarget.setAttribute("aria-expanded", (!hidden).toString())
+    }
+    this.validate()
+  }
+
+  updateChanges(current) {
+    if (!this.hasChangesTarget && !this.hasChangesButtonTarget) return
+
+    const changes = this.original === undefined ? [] : diffJson(this.original, current)
+
+    if (this.hasChangesButtonTarget) {
+      this.changesButtonTarget.textContent = changes.length ? `Changes (${changes.length})` : "Changes"
+    }
+
+    if (!this.hasChangesTarget || this.changesTarget.classList.contains("hidden")) return
+    this.renderChanges(changes)
+  }
+
+  renderChanges(changes) {
+    if (this.original === undefined) {
+      this.changesTarget.textContent = "The original value is not valid JSON, so there is nothing to compare against."
+      return
+    }
+
+    if (!changes.length) {
+      this.changesTarget.textContent = "No changes."
+      return
+    }
+
+    const styles = {
+      added: ["+", "text-emerald-700 bg-emerald-50"],
+      removed: ["−", "text-red-700 bg-red-50"],
+      changed: ["~", "text-amber-700 bg-amber-50"],
+    }
+
+    const rows = changes.map((change) => {
+      const [sign, classes] = styles[change.kind]
+      const row = document.createElement("div")
+      row.className = `flex items-baseline gap-2 px-2 py-1 rounded font-mono text-xs ${classes}`
+
+      const badge = document.createElement("span")
+      badge.className = "font-bold"
+      badge.textContent = sign
+
+      const path = document.createElement("span")
+      path.className = "font-semibold"
+      path.textContent = change.path
+
+      const detail = document.createElement("span")
+      detail.className = "min-w-0 break-all"
+      detail.textContent =
+        change.kind === "changed"
+          ? `${preview(change.before)} → ${preview(change.after)}`
+          : preview(change.kind === "added" ? change.after : change.before)
+
+      row.append(badge, path, detail)
+      return row
+    })
+
+    this.changesTarget.replaceChildren(...rows)
+  }
+
+  // ---- tree mode ----
+
+  toggleMode(event) {
+    event?.preventDefault()
+    if (!this.hasInputTarget || !this.hasTreeTarget) return
+
+    if (this.treeMode) {
+      this.treeMode = false
+      this.treeTarget.classList.add("hidden")
+      this.treeTarget.replaceChildren()
+      this.inputTarget.style.display = ""
+      this.updateModeButton()
+      return
+    }
+
+    const value = this.inputTarget.value.trim()
+    try {
+      this.document = value === "" ? {} : JSON.parse(value)
     } catch (e) {
-      this.showError(e.message)
-      this.inputTarget.classList.remove("border-slate-300")
-      this.inputTarget.classList.add("border-red-500")
+      this.showSyntaxError(e)
+      this.markInvalid()
+      return
+    }
+
+    this.treeMode = true
+    this.inputTarget.style.display = "none"
+    this.treeTarget.classList.remove("hidden")
+    this.renderTree()
+    this.updateModeButton()
+  }
+
+  updateModeButton() {
+    if (!this.hasModeButtonTarget) return
+    this.modeButtonTarget.textContent = this.treeMode ? "Text view" : "Tree view"
+    this.modeButtonTarget.setAttribute("aria-pressed", this.treeMode.toString())
+  }
+
+  treeToggle(event) {
+    event.preventDefault()
+    const key = event.currentTarget.dataset.jsonPath
+    if (this.collapsed.has(key)) {
+      this.collapsed.delete(key)
+    } else {
+      this.collapsed.add(key)
+    }
+    this.renderTree()
+  }
+
+  treeEditValue(event) {
+    const input = event.currentTarget
+    const path = JSON.parse(input.dataset.jsonPath)
+
+    let value
+    switch (input.dataset.jsonType) {
+      case "number":
+        if (input.value.trim() === "" || Number.isNaN(Number(input.value))) {
+          input.classList.add("border-red-500")
+          return
+        }
+        input.classList.remove("border-red-500")
+        value = Number(input.value)
+        break
+      case "boolean":
+        value = input.checked
+        break
+      default:
+        value = input.value
+    }
+
+    this.document = setAt(this.document, path, value)
+    this.writeFromTree()
+  }
+
+  treeChangeType(event) {
+    const path = JSON.parse(event.currentTarget.dataset.jsonPath)
+    const current = getAt(this.document, path)
+
+    this.document = setAt(this.document, path, convertType(current, event.currentTarget.value))
+    this.writeFromTree()
+    this.renderTree()
+  }
+
+  treeRenameKey(event) {
+    const input = event.currentTarget
+    const path = JSON.parse(input.dataset.jsonPath)
+    const oldKey = path[path.length - 1]
+    const newKey = input.value
+    const parent = getAt(this.document, path.slice(0, -1))
+
+    if (newKey === oldKey) return
+    if (newKey === "" || Object.prototype.hasOwnProperty.call(parent, newKey)) {
+      input.value = oldKey
+      this.showMessage(newKey === "" ? "Keys cannot be empty." : `Key "${newKey}" already exists.`)
+      return
+    }
+
+    const renamed = Object.fromEntries(
+      Object.entries(parent).map(([key, value]) => [key === oldKey ? newKey : key, value]),
+    )
+
+    this.document = setAt(this.document, path.slice(0, -1), renamed)
+    this.writeFromTree()
+    this.renderTree()
+  }
+
+  treeAdd(event) {
+    event.preventDefault()
+    const path = JSON.parse(event.currentTarget.dataset.jsonPath)
+    const container = getAt(this.document, path)
+    let focusPath
+
+    if (Array.isArray(container)) {
+      this.document = setAt(this.document, path, [...container, ""])
+      focusPath = [...path, container.length]
+    } else {
+      let key = "new_key"
+      for (let i = 2; Object.prototype.hasOwnProperty.call(container, key); i++) key = `new_key_${i}`
+      this.document = setAt(this.document, path, { ...container, [key]: "" })
+      focusPath = [...path, key]
+    }
+
+    this.collapsed.delete(JSON.stringify(path))
+    this.writeFromTree()
+    this.renderTree()
+    this.focusTreeField(focusPath)
+  }
+
+  treeRemove(event) {
+    event.preventDefault()
+    const path = JSON.parse(event.currentTarget.dataset.jsonPath)
+
+    this.document = removeAt(this.document, path)
+    this.writeFromTree()
+    this.renderTree()
+  }
+
+  treeMove(event) {
+    event.preventDefault()
+    const path = JSON.parse(event.currentTarget.dataset.jsonPath)
+    const offset = event.currentTarget.dataset.direction === "up" ? -1 : 1
+    const parentPath = path.slice(0, -1)
+    const items = [...getAt(this.document, parentPath)]
+    const from = path[path.length - 1]
+    const to = from + offset
+
+    if (to < 0 || to >= items.length) return
+    items.splice(to, 0, items.splice(from, 1)[0])
+
+    this.document = setAt(this.document, parentPath, items)
+    this.writeFromTree()
+    this.renderTree()
+    this.focusTreeAction([...parentPath, to], event.currentTarget.dataset.direction)
+  }
+
+  writeFromTree() {
+    this.inputTarget.value = JSON.stringify(this.document, null, 2)
+
+    // Let the regular `input->validate` action (and form dirty tracking) run
+    // without re-rendering the tree underneath the user.
+    this.writingFromTree = true
+    try {
+      this.inputTarget.dispatchEvent(new Event("input", { bubbles: true }))
+    } finally {
+      this.writingFromTree = false
+    }
+  }
+
+  renderTree() {
+    if (!this.hasTreeTarget) return
+    this.treeTarget.replaceChildren(this.buildNode(this.document, [], null))
+  }
+
+  buildNode(value, path, parent) {
+    const readonly = this.inputTarget.readOnly
+    const pathKey = JSON.stringify(path)
+    const isContainer = value !== null && typeof value === "object"
+    const collapsed = this.collapsed.has(pathKey)
+
+    const node = document.createElement("div")
+    node.className = path.length ? "pl-4 border-l border-slate-200" : ""
+
+    const row = document.createElement("div")
+    row.className = "flex items-center gap-2 py-1"
+    node.append(row)
+
+    if (isContainer) {
+      row.append(
+        this.treeButton(collapsed ? "▸" : "▾", "treeToggle", pathKey, {
+          title: collapsed ? "Expand" : "Collapse",
+          "aria-expanded": (!collapsed).toString(),
+        }),
+      )
+    }
+
+    if (parent === "object") {
+      const keyInput = document.createElement("input")
+      keyInput.type = "text"
+      keyInput.value = path[path.length - 1]
+      keyInput.className = `${TREE_INPUT_CLASS} w-40`
+      keyInput.disabled = readonly
+      keyInput.setAttribute("aria-label", "Key")
+      keyInput.dataset.jsonPath = pathKey
+      keyInput.dataset.jsonRole = "key"
+      keyInput.dataset.action = "change->admin-suite--json-editor#treeRenameKey"
+      row.append(keyInput)
+    } else if (parent === "array") {
+      const index = document.createElement("span")
+      index.className = "text-xs font-mono text-slate-400 w-8 text-right"
+      index.textContent = `${path[path.length - 1]}`
+      row.append(index)
+    }
+
+    row.append(this.typeSelect(value, pathKey, readonly))
+
+    if (isContainer) {
+      const summary = document.createElement("span")
+      summary.className = "text-xs text-slate-500"
+      const size = Array.isArray(value) ? value.length : Object.keys(value).length
+      summary.textContent = Array.isArray(value) ? `${size} item${size === 1 ? "" : "s"}` : `${size} key${size === 1 ? "" : "s"}`
+      row.append(summary)
+    } else {
+      row.append(this.scalarInput(value, pathKey, readonly))
+    }
+
+    if (!readonly && parent === "array") {
+      row.append(
+        this.treeButton("↑", "treeMove", pathKey, { title: "Move up", "data-direction": "up" }),
+        this.treeButton("↓", "treeMove", pathKey, { title: "Move down", "data-direction": "down" }),
+      )
+    }
+
+    if (!readonly && path.length) {
+      row.append(this.treeButton("×", "treeRemove", pathKey, { title: "Remove" }))
+    }
+
+    if (isContainer && !collapsed) {
+      const children = document.createElement("div")
+      const entries = Array.isArray(value) ? value.map((item, i) => [i, item]) : Object.entries(value)
+
+      entries.forEach(([key, child]) => {
+        children.append(this.buildNode(child, [...path, key], Array.isArray(value) ? "array" : "object"))
+      })
+
+      if (!readonly) {
+        const add = this.treeButton(Array.isArray(value) ? "+ Add item" : "+ Add key", "treeAdd", pathKey, {})
+        add.className = "ml-4 my-1 text-xs font-medium text-indigo-600 hover:text-indigo-800"
+        children.append(add)
+      }
+
+      node.append(children)
+    }
+
+    return node
+  }
+
+  typeSelect(value, pathKey, readonly) {
+    const select = document.createElement("select")
+    select.className = `${TREE_INPUT_CLASS} w-24 text-xs`
+    select.disabled = readonly
+    select.setAttribute("aria-label", "Type")
+    select.dataset.jsonPath = pathKey
+    select.dataset.action = "change->admin-suite--json-editor#treeChangeType"
+
+    const current = jsonType(value)
+    TYPES.forEach((type) => {
+      const option = document.createElement("option")
+      option.value = type
+      option.textContent = type
+      option.selected = type === current
+      select.append(option)
+    })
+
+    return select
+  }
+
+  scalarInput(value, pathKey, readonly) {
+    const type = jsonType(value)
+
+    if (type === "null") {
+      const label = document.createElement("span")
+      label.className = "text-sm font-mono text-slate-400"
+      label.textContent = "null"
+      return label
     }
+
+    const input = document.createElement("input")
+    input.disabled = readonly
+    input.setAttribute("aria-label", "Value")
+    input.dataset.jsonPath = pathKey
+    input.dataset.jsonType = type
+    input.dataset.jsonRole = "value"
+
+    if (type === "boolean") {
+      input.type = "checkbox"
+      input.checked = value
+      input.className = "form-checkbox"
+      input.dataset.action = "change->admin-suite--json-editor#treeEditValue"
+    } else {
+      input.type = type === "number" ? "number" : "text"
+      if (type === "number") input.step = "any"
+      input.value = String(value)
+      input.className = `${TREE_INPUT_CLASS} flex-1 min-w-0`
+      input.dataset.action = "input->admin-suite--json-editor#treeEditValue"
+    }
+
+    return input
+  }
+
+  treeButton(label, action, pathKey, attributes) {
+    const button = document.createElement("button")
+    button.type = "button"
+    button.textContent = label
+    button.className = "px-1.5 text-sm text-slate-500 hover:text-slate-900"
+    button.dataset.jsonPath = pathKey
+    button.dataset.action = `click->admin-suite--json-editor#${action}`
+    Object.entries(attributes).forEach(([name, value]) => button.setAttribute(name, value))
+    return button
+  }
+
+  focusTreeField(path) {
+    const pathKey = JSON.stringify(path)
+    const field = [...this.treeTarget.querySelectorAll("[data-json-role]")].find(
+      (el) => el.dataset.jsonPath === pathKey,
+    )
+    field?.focus()
+    field?.select?.()
+  }
+
+  focusTreeAction(path, direction) {
+    const pathKey = JSON.stringify(path)
+    const button = [...this.treeTarget.querySelectorAll("[data-direction]")].find(
+      (el) => el.dataset.jsonPath === pathKey && el.dataset.direction === direction,
+    )
+    button?.focus()
+  }
+
+  markValid() {
+    this.inputTarget.classList.remove("border-red-500")
+    this.inputTarget.classList.add("border-slate-300")
+  }
+
+  markInvalid() {
+    this.inputTarget.classList.remove("border-slate-300")
+    this.inputTarget.classList.add("border-red-500")
   }
 
   showError(message) {
+    this.showMessage(`Invalid JSON: ${message}`)
+  }
+
+  showSyntaxError(error) {
+    const raw = this.inputTarget.value
+    const location = locateSyntaxError(raw)
+
+    if (!location || !this.hasErrorTarget) {
+      this.errorPosition = undefined
+      this.showError(error.message)
+      return
+    }
+
+    const { line, column } = lineAndColumn(raw, location.position)
+    this.errorPosition = location.position
+
+    const jump = document.createElement("button")
+    jump.type = "button"
+    jump.className = "ml-2 underline font-medium hover:text-red-800"
+    jump.textContent = "Go to error"
+    jump.dataset.action = "click->admin-suite--json-editor#jumpToError"
+
+    this.errorTarget.replaceChildren(`Invalid JSON: ${location.message} at line ${line}, column ${column}.`, jump)
+    this.errorTarget.classList.remove("hidden")
+  }
+
+  showMessage(message) {
     if (!this.hasErrorTarget) return
-    this.errorTarget.textContent = `Invalid JSON: ${message}`
+    this.errorTarget.textContent = message
+    this.errorTarget.classList.remove("hidden")
+  }
+
+  showSchemaErrors(errors) {
+    if (!this.hasErrorTarget) return
+
+    const lines = errors.map(({ path, message }) => {
+      const line = document.createElement("div")
+      const code = document.createElement("code")
+      code.className = "font-mono"
+      code.textContent = path
+      line.append(code, ` ${message}`)
+      return line
+    })
+
+    this.errorTarget.replaceChildren(...lines)
     this.errorTarget.classList.remove("hidden")
   }
 
@@ -60,3 +603,433 @@ export default class extends Controller {
   }
 }
 
+// ---- JSON Schema (subset) ----
+
+function validateSchema(value, schema, root = schema, path = "$", errors = []) {
+  if (schema === true || schema === undefined || schema === null) return errors
+  if (schema === false) {
+    errors.push({ path, message: "is not allowed" })
+    return errors
+  }
+
+  if (schema.$ref) {
+    const resolved = resolveRef(root, schema.$ref)
+    if (resolved === undefined) {
+      errors.push({ path, message: `references unknown schema ${schema.$ref}` })
+      return errors
+    }
+    return validateSchema(value, resolved, root, path, errors)
+  }
+
+  if (schema.type !== undefined) {
+    const types = [].concat(schema.type)
+    if (!types.some((type) => matchesType(value, type))) {
+      errors.push({ path, message: `should be ${types.join(" or ")}, got ${typeOf(value)}` })
+      return errors
+    }
+  }
+
+  if (schema.enum && !schema.enum.some((option) => deepEqual(option, value))) {
+    errors.push({ path, message: `should be one of ${schema.enum.map((v) => JSON.stringify(v)).join(", ")}` })
+  }
+
+  if ("const" in schema && !deepEqual(schema.const, value)) {
+    errors.push({ path, message: `should be ${JSON.stringify(schema.const)}` })
+  }
+
+  if (typeof value === "string") validateString(value, schema, path, errors)
+  if (typeof value === "number") validateNumber(value, schema, path, errors)
+  if (Array.isArray(value)) validateArray(value, schema, root, path, errors)
+  if (isPlainObject(value)) validateObject(value, schema, root, path, errors)
+
+  validateCombinators(value, schema, root, path, errors)
+
+  return errors
+}
+
+function validateString(value, schema, path, errors) {
+  if (schema.minLength !== undefined && value.length < schema.minLength) {
+    errors.push({ path, message: `should be at least ${schema.minLength} characters` })
+  }
+  if (schema.maxLength !== undefined && value.length > schema.maxLength) {
+    errors.push({ path, message: `should be at most ${schema.maxLength} characters` })
+  }
+  if (schema.pattern !== undefined) {
+    try {
+      if (!new RegExp(schema.pattern, "u").test(value)) {
+        errors.push({ path, message: `should match pattern ${schema.pattern}` })
+      }
+    } catch (_e) {
+      // Invalid pattern in the schema itself; nothing the user can fix.
+    }
+  }
+}
+
+function validateNumber(value, schema, path, errors) {
+  if (schema.minimum !== undefined && value < schema.minimum) {
+    errors.push({ path, message: `should be >= ${schema.minimum}` })
+  }
+  if (schema.maximum !== undefined && value > schema.maximum) {
+    errors.push({ path, message: `should be <= ${schema.maximum}` })
+  }
+  if (typeof schema.exclusiveMinimum === "number" && value <= schema.exclusiveMinimum) {
+    errors.push({ path, message: `should be > ${schema.exclusiveMinimum}` })
+  }
+  if (typeof schema.exclusiveMaximum === "number" && value >= schema.exclusiveMaximum) {
+    errors.push({ path, message: `should be < ${schema.exclusiveMaximum}` })
+  }
+}
+
+function validateArray(value, schema, root, path, errors) {
+  if (schema.minItems !== undefined && value.length < schema.minItems) {
+    errors.push({ path, message: `should have at least ${schema.minItems} items` })
+  }
+  if (schema.maxItems !== undefined && value.length > schema.maxItems) {
+    errors.push({ path, message: `should have at most ${schema.maxItems} items` })
+  }
+  if (schema.uniqueItems) {
+    const duplicate = value.findIndex((item, i) => value.slice(0, i).some((other) => deepEqual(other, item)))
+    if (duplicate !== -1) errors.push({ path: `${path}[${duplicate}]`, message: "is a duplicate item" })
+  }
+
+  if (Array.isArray(schema.items)) {
+    schema.items.forEach((itemSchema, i) => {
+      if (i < value.length) validateSchema(value[i], itemSchema, root, `${path}[${i}]`, errors)
+    })
+  } else if (schema.items !== undefined) {
+    value.forEach((item, i) => validateSchema(item, schema.items, root, `${path}[${i}]`, errors))
+  }
+}
+
+function validateObject(value, schema, root, path, errors) {
+  for (const key of schema.required || []) {
+    if (!Object.prototype.hasOwnProperty.call(value, key)) {
+      errors.push({ path, message: `is missing required key "${key}"` })
+    }
+  }
+
+  const properties = schema.properties || {}
+
+  Object.keys(value).forEach((key) => {
+    const childPath = joinPath(path, key)
+
+    if (Object.prototype.hasOwnProperty.call(properties, key)) {
+      validateSchema(value[key], properties[key], root, childPath, errors)
+    } else if (schema.additionalProperties === false) {
+      errors.push({ path: childPath, message: "is not an allowed key" })
+    } else if (isPlainObject(schema.additionalProperties)) {
+      validateSchema(value[key], schema.additionalProperties, root, childPath, errors)
+    }
+  })
+}
+
+function validateCombinators(value, schema, root, path, errors) {
+  if (schema.allOf) {
+    schema.allOf.forEach((sub) => validateSchema(value, sub, root, path, errors))
+  }
+
+  if (schema.anyOf) {
+    const matches = schema.anyOf.some((sub) => validateSchema(value, sub, root, path).length === 0)
+    if (!matches) errors.push({ path, message: "should match at least one allowed schema" })
+  }
+
+  if (schema.oneOf) {
+    const count = schema.oneOf.filter((sub) => validateSchema(value, sub, root, path).length === 0).length
+    if (count !== 1) errors.push({ path, message: "should match exactly one allowed schema" })
+  }
+
+  if (schema.not !== undefined && validateSchema(value, schema.not, root, path).length === 0) {
+    errors.push({ path, message: "should not match the disallowed schema" })
+  }
+}
+
+function resolveRef(root, ref) {
+  if (ref === "#") return root
+  if (!ref.startsWith("#/")) return undefined
+
+  return ref
+    .slice(2)
+    .split("/")
+    .map((part) => decodeURIComponent(part).replace(/~1/g, "/").replace(/~0/g, "~"))
+    .reduce((node, part) => (node == null ? undefined : node[part]), root)
+}
+
+function matchesType(value, type) {
+  switch (type) {
+    case "integer":
+      return Number.isInteger(value)
+    case "number":
+      return typeof value === "number"
+    case "null":
+      return value === null
+    case "array":
+      return Array.isArray(value)
+    case "object":
+      return isPlainObject(value)
+    default:
+      return typeof value === type
+  }
+}
+
+function typeOf(value) {
+  if (value === null) return "null"
+  if (Array.isArray(value)) return "array"
+  if (Number.isInteger(value)) return "integer"
+  return typeof value
+}
+
+function isPlainObject(value) {
+  return value !== null && typeof value === "object" && !Array.isArray(value)
+}
+
+function deepEqual(a, b) {
+  return JSON.stringify(canonical(a)) === JSON.stringify(canonical(b))
+}
+
+function canonical(value) {
+  if (Array.isArray(value)) return value.map(canonical)
+  if (!isPlainObject(value)) return value
+
+  return Object.keys(value)
+    .sort()
+    .reduce((out, key) => ({ ...out, [key]: canonical(value[key]) }), {})
+}
+
+function joinPath(path, key) {
+  return /^[A-Za-z_$][\w$]*$/.test(key) ? `${path}.${key}` : `${path}[${JSON.stringify(key)}]`
+}
+
+// ---- Tree helpers (immutable updates by path) ----
+
+function getAt(doc, path) {
+  return path.reduce((node, key) => node[key], doc)
+}
+
+function setAt(doc, path, value) {
+  if (!path.length) return value
+
+  const [key, ...rest] = path
+  const copy = Array.isArray(doc) ? [...doc] : { ...doc }
+  copy[key] = setAt(doc[key], rest, value)
+  return copy
+}
+
+function removeAt(doc, path) {
+  const parentPath = path.slice(0, -1)
+  const key = path[path.length - 1]
+  const parent = getAt(doc, parentPath)
+
+  const updated = Array.isArray(parent)
+    ? parent.filter((_item, i) => i !== key)
+    : Object.fromEntries(Object.entries(parent).filter(([k]) => k !== key))
+
+  return setAt(doc, parentPath, updated)
+}
+
+function jsonType(value) {
+  if (value === null) return "null"
+  if (Array.isArray(value)) return "array"
+  return typeof value
+}
+
+function convertType(value, type) {
+  switch (type) {
+    case "string":
+      return value === null || typeof value === "object" ? "" : String(value)
+    case "number":
+      return Number(value) || 0
+    case "boolean":
+      return value === true || value === "true"
+    case "null":
+      return null
+    case "array":
+      return Array.isArray(value) ? value : []
+    default:
+      return value !== null && typeof value === "object" && !Array.isArray(value) ? value : {}
+  }
+}
+
+// ---- Syntax error location ----
+
+// Walks the text with a strict JSON grammar and returns `{ position, message }`
+// for the first error, or null when the text is valid JSON.
+function locateSyntaxError(text) {
+  let i = 0
+
+  const fail = (message, position = i) => {
+    throw { position, message }
+  }
+  const found = () => {
+    if (i >= text.length) return "end of input"
+    return text[i] < " " ? JSON.stringify(text[i]) : `'${text[i]}'`
+  }
+  const skipWhitespace = () => {
+    while (i < text.length && " \t\n\r".includes(text[i])) i++
+  }
+
+  const parseValue = () => {
+    skipWhitespace()
+    const ch = text[i]
+
+    if (ch === "{") return parseObject()
+    if (ch === "[") return parseArray()
+    if (ch === '"') return parseString()
+    if (ch === "-" || (ch >= "0" && ch <= "9")) return parseNumber()
+
+    for (const word of ["true", "false", "null"]) {
+      if (text.startsWith(word, i)) {
+        i += word.length
+        return
+      }
+    }
+
+    fail(`Unexpected ${found()}, expected a value`)
+  }
+
+  const parseObject = () => {
+    i++
+    skipWhitespace()
+    if (text[i] === "}") {
+      i++
+      return
+    }
+
+    for (;;) {
+      skipWhitespace()
+      if (text[i] !== '"') fail(`Expected a double-quoted key, found ${found()}`)
+      parseString()
+      skipWhitespace()
+      if (text[i] !== ":") fail(`Expected ":" after key, found ${found()}`)
+      i++
+      parseValue()
+      skipWhitespace()
+
+      if (text[i] === ",") {
+        i++
+        skipWhitespace()
+        if (text[i] === "}") fail('Trailing comma before "}"')
+        continue
+      }
+      if (text[i] === "}") {
+        i++
+        return
+      }
+      fail(`Expected "," or "}", found ${found()}`)
+    }
+  }
+
+  const parseArray = () => {
+    i++
+    skipWhitespace()
+    if (text[i] === "]") {
+      i++
+      return
+    }
+
+    for (;;) {
+      parseValue()
+      skipWhitespace()
+
+      if (text[i] === ",") {
+        i++
+        skipWhitespace()
+        if (text[i] === "]") fail('Trailing comma before "]"')
+        continue
+      }
+      if (text[i] === "]") {
+        i++
+        return
+      }
+      fail(`Expected "," or "]", found ${found()}`)
+    }
+  }
+
+  const parseString = () => {
+    const start = i
+    i++
+
+    while (i < text.length) {
+      const ch = text[i]
+      if (ch === '"') {
+        i++
+        return
+      }
+      if (ch === "\\") {
+        const next = text[i + 1]
+        if (next !== undefined && '"\\/bfnrt'.includes(next)) {
+          i += 2
+        } else if (next === "u" && /^[0-9a-fA-F]{4}$/.test(text.slice(i + 2, i + 6))) {
+          i += 6
+        } else {
+          fail("Invalid escape sequence in string")
+        }
+        continue
+      }
+      if (ch < " ") fail("Unescaped control character (e.g. a line break) in string")
+      i++
+    }
+
+    fail("Unterminated string", start)
+  }
+
+  const parseNumber = () => {
+    const match = /-?(0|[1-9]\d*)(\.\d+)?([eE][+-]?\d+)?/y
+    match.lastIndex = i
+    const result = match.exec(text)
+    if (!result) fail("Invalid number")
+    i += result[0].length
+  }
+
+  try {
+    parseValue()
+    skipWhitespace()
+    if (i < text.length) fail(`Unexpected ${found()} after the end of the document`)
+    return null
+  } catch (error) {
+    if (error && typeof error.position === "number") return error
+    throw error
+  }
+}
+
+function lineAndColumn(text, position) {
+  const lines = text.slice(0, position).split("\n")
+  return { line: lines.length, column: lines[lines.length - 1].length + 1 }
+}
+
+// ---- Changes (diff against the loaded value) ----
+
+function parseOrUndefined(text) {
+  if (text.trim() === "") return undefined
+
+  try {
+    return JSON.parse(text)
+  } catch (_e) {
+    return undefined
+  }
+}
+
+function diffJson(before, after, path = "$", changes = []) {
+  if (deepEqual(before, after)) return changes
+
+  if (before === undefined) {
+    changes.push({ kind: "added", path, after })
+  } else if (after === undefined) {
+    changes.push({ kind: "removed", path, before })
+  } else if (isPlainObject(before) && isPlainObject(after)) {
+    const own = (object, key) => (Object.prototype.hasOwnProperty.call(object, key) ? object[key] : undefined)
+    const keys = [...new Set([...Object.keys(before), ...Object.keys(after)])]
+    keys.forEach((key) => diffJson(own(before, key), own(after, key), joinPath(path, key), changes))
+  } else if (Array.isArray(before) && Array.isArray(after)) {
+    const length = Math.max(before.length, after.length)
+    for (let i = 0; i < length; i++) diffJson(before[i], after[i], `${path}[${i}]`, changes)
+  } else {
+    changes.push({ kind: "changed", path, before, after })
+  }
+
+  return changes
+}
+
+function preview(value) {
+  const text = JSON.stringify(value)
+  return text.length > 80 ? `${text.slice(0, 77)}...` : text
+}
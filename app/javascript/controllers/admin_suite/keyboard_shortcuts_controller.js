@@ -0,0 +1,174 @@
+import { Controller } from "@hotwired/stimulus"
+
+const ROW_ACTIVE_CLASSES = ["bg-indigo-50", "ring-2", "ring-inset", "ring-indigo-500"]
+
+/**
+ * Keyboard Shortcuts Controller (Admin Suite)
+ *
+ * Page-wide single-key shortcuts (bind `keydown@window` to `keydown`):
+ * - `/` focuses the search field (`searchSelector`),
+ * - `j` / `k` move through the index `row` targets,
+ * - Enter opens the current row (`data-url`), `e` edits it (`data-edit-url`;
+ *   on a show page, the `editLink` target is followed instead),
+ * - `?` toggles the `help` cheat sheet, which Escape closes.
+ *
+ * Shortcuts are ignored while typing in a field and when Ctrl, Cmd or Alt is
+ * held (Cmd/Ctrl+K belongs to the command palette).
+ */
+export default class extends Controller {
+  static targets = ["row", "editLink", "help"]
+  static values = {
+    searchSelector: { type: String, default: 'input[name="search"]' },
+  }
+
+  connect() {
+    this.index = -1
+  }
+
+  rowTargetDisconnected() {
+    if (this.index >= this.rowTargets.length) this.index = -1
+  }
+
+  keydown(event) {
+    if (event.defaultPrevented || event.ctrlKey || event.metaKey || event.altKey) return
+
+    if (event.key === "Escape" && this.helpOpen) {
+      event.preventDefault()
+      this.closeHelp()
+      return
+    }
+
+    if (isTyping(event.target)) return
+
+    switch (event.key) {
+      case "/":
+        this.focusSearch(event)
+        break
+      case "j":
+        this.moveRow(event, 1)
+        break
+      case "k":
+        this.moveRow(event, -1)
+        break
+      case "Enter":
+        // Only for the row j/k focused; cells and links handle their own Enter.
+        if (event.target === this.currentRow) this.visitRow(event, "url")
+        break
+      case "e":
+        this.edit(event)
+        break
+      case "?":
+        event.preventDefault()
+        this.toggleHelp()
+        break
+    }
+  }
+
+  focusSearch(event) {
+    const search = document.querySelector(this.searchSelectorValue)
+    if (!search) return
+
+    event.preventDefault()
+    search.focus()
+    search.select?.()
+  }
+
+  get currentRow() {
+    return this.rowTargets[this.index] || null
+  }
+
+  moveRow(event, step) {
+    const rows = this.rowTargets
+    if (!rows.length) return
+
+    event.preventDefault()
+    const index = this.index === -1 ? (step > 0 ? 0 : rows.length - 1) : this.index + step
+    this.highlightRow(Math.min(Math.max(index, 0), rows.length - 1))
+  }
+
+  highlightRow(index) {
+    this.rowTargets.forEach((row, position) => {
+      const active = position === index
+      ROW_ACTIVE_CLASSES.forEach((name) => row.classList.toggle(name, active))
+      if (active) {
+        row.setAttribute("aria-current", "true")
+      } else {
+        row.removeAttribute("aria-current")
+      }
+    })
+
+    this.index = index
+    const row = this.currentRow
+    if (!row) return
+
+    row.tabIndex = -1
+    row.focus({ preventScroll: true })
+    row.scrollIntoView({ block: "nearest" })
+  }
+
+  edit(event) {
+    const row = this.currentRow
+    if (row?.dataset.editUrl) {
+      this.visitRow(event, "editUrl")
+    } else if (this.hasEditLinkTarget) {
+      event.preventDefault()
+      visit(this.editLinkTarget.href)
+    }
+  }
+
+  visitRow(event, key) {
+    const url = this.currentRow?.dataset[key]
+    if (!url) return
+
+    event.preventDefault()
+    visit(url)
+  }
+
+  get helpOpen() {
+    return this.hasHelpTarget && !this.helpTarget.classList.contains("hidden")
+  }
+
+  toggleHelp() {
+    if (this.helpOpen) {
+      this.closeHelp()
+    } else {
+      this.openHelp()
+    }
+  }
+
+  openHelp() {
+    if (!this.hasHelpTarget) return
+
+    this.returnFocus = document.activeElement
+    this.helpTarget.classList.remove("hidden")
+    this.helpTarget.querySelector("[data-autofocus]")?.focus()
+  }
+
+  closeHelp() {
+    if (!this.hasHelpTarget) return
+
+    this.helpTarget.classList.add("hidden")
+    this.returnFocus?.focus?.()
+    this.returnFocus = null
+  }
+
+  // Clicks on the cheat sheet's overlay itself (outside the panel).
+  helpBackdrop(event) {
+    if (event.target === this.helpTarget) this.closeHelp()
+  }
+}
+
+// Checkboxes and buttons don't take text, so shortcuts still apply on them.
+function isTyping(element) {
+  const field = element?.closest?.("input, textarea, select, [contenteditable]:not([contenteditable='false'])")
+  if (!field) return false
+  return !(field.tagName === "INPUT" && ["checkbox", "radio", "button", "submit", "reset"].includes(field.type))
+}
+
+function visit(url) {
+  if (window.Turbo) {
+    window.Turbo.visit(url)
+  } else {
+    window.location.assign(url)
+  }
+}
@@ -1,71 +1,525 @@
 import { Controller } from "@hotwired/stimulus"
 
+// Fields whose `input` events are keystrokes (debounced); everything else
+// (selects, dates, checkboxes) applies on `change`.
+const TEXT_TYPES = ["text", "search", "number", "email", "url", "tel", "textarea"]
+
+const VIEWS_PREFIX = "admin_suite:views:"
+
+const CHIP_CLASS = "inline-flex items-center gap-1 px-2 py-1 bg-indigo-100 text-indigo-700 rounded text-sm"
+const TAB_ACTIVE_CLASSES = ["border-indigo-600", "text-indigo-600"]
+const TAB_INACTIVE_CLASSES = ["border-transparent", "text-slate-500"]
+
 /**
  * Live Filter Controller (Admin Suite)
  *
- * Automatically submits filter forms on input change with debouncing.
- * Works with Turbo Frames to provide smooth, live-updating results.
+ * Applies a GET filter form (the `form` target, or the controller element
+ * itself) to a Turbo Frame as the user edits it, and is the only place those
+ * submissions are triggered (bind `input`, `change` and `submit` on the form to
+ * `queue`/`submit`):
+ * - text fields wait `debounce` ms after the last keystroke; a field with a
+ *   min length (`data-admin-suite--live-filter-min-length-value` or
+ *   `minlength`) is ignored while it holds fewer characters,
+ * - selects, dates and checkboxes apply on change,
+ * - submitting (Apply / Enter) applies immediately.
+ *
+ * Results load by pointing the frame's `src` at the filter URL, so Turbo
+ * cancels a superseded request and an older response never replaces a newer
+ * one; an unchanged filter state isn't requested again. Each applied state is
+ * pushed to the URL (keeping `preserve` params such as the sort), and
+ * back/forward restores both the fields and the results.
+ *
+ * Active filters are listed as removable chips in the `chips` target. Views
+ * are filter queries (filters, search and sort): `view` targets carry one in
+ * `data-query` and apply it on click (preset tabs), and the current state can
+ * be saved under a name (`viewName` target + `saveView`). Saved views are kept
+ * in localStorage under `viewsKey`; with a `viewsUrl` they are also loaded
+ * from (GET), created at (POST) and deleted from (DELETE `<url>/<id>`) the
+ * server. A view the server didn't save (no `id`) stays in localStorage and is
+ * sent again on the next load, unless the server has one with its name. Views
+ * matching the current state are marked active.
  */
 export default class extends Controller {
-  static targets = ["input"]
+  static targets = ["input", "form", "chips", "view", "viewsList", "viewsEmpty", "viewName"]
   static values = {
     debounce: { type: Number, default: 300 },
     minLength: { type: Number, default: 3 },
+    frame: { type: String, default: "" },
+    preserve: { type: Array, default: ["sort", "direction"] },
+    viewsKey: { type: String, default: "" },
+    viewsUrl: { type: String, default: "" },
   }
 
   connect() {
     this.timeout = null
+    this.lastUrl = this.form ? this.filterUrl().href : window.location.href
+    this.savedViews = this.readViews()
+    this.savingViews = new Set()
+
+    this.onPopState = this.onPopState.bind(this)
+    window.addEventListener("popstate", this.onPopState)
+
+    this.renderChips()
+    this.markActiveViews()
+    if (this.viewsUrlValue) this.fetchViews()
   }
 
   disconnect() {
-    if (this.timeout) {
-      clearTimeout(this.timeout)
-    }
+    clearTimeout(this.timeout)
+    window.removeEventListener("popstate", this.onPopState)
   }
 
-  submit() {
-    if (this.timeout) {
+  get form() {
+    if (this.hasFormTarget) return this.formTarget
+    return this.element instanceof HTMLFormElement ? this.element : null
+  }
+
+  // Form-level `input` / `change` handler.
+  queue(event) {
+    const field = event.target
+    if (!field.name) return
+
+    const typing = TEXT_TYPES.includes(field.type)
+    if (typing !== (event.type === "input")) return
+
+    if (typing && this.belowMinLength(field)) {
       clearTimeout(this.timeout)
+      return
     }
-    this.element.requestSubmit()
+
+    this.schedule(typing ? this.debounceValue : 0)
+  }
+
+  submit(event) {
+    event?.preventDefault()
+    clearTimeout(this.timeout)
+    this.apply({ force: Boolean(event) })
   }
 
   debounce() {
-    if (this.timeout) {
-      clearTimeout(this.timeout)
+    this.schedule(this.debounceValue)
+  }
+
+  debounceWithMinLength(event) {
+    clearTimeout(this.timeout)
+    if (this.belowMinLength(event.target, this.minLengthValue)) return
+
+    this.schedule(this.debounceValue)
+  }
+
+  clear(event) {
+    event?.preventDefault()
+
+    this.inputTargets.forEach((input) => this.clearField(input))
+    this.submit()
+  }
+
+  schedule(delay) {
+    clearTimeout(this.timeout)
+
+    if (delay) {
+      this.timeout = setTimeout(() => this.apply(), delay)
+    } else {
+      this.apply()
     }
+  }
 
-    this.timeout = setTimeout(() => {
-      this.element.requestSubmit()
-    }, this.debounceValue)
+  // Loads the results for the current fields unless they are already shown
+  // (or `force`).
+  apply({ force = false } = {}) {
+    if (!this.form) return
+
+    const url = this.filterUrl()
+    if (!force && url.href === this.lastUrl) return
+
+    this.visit(url)
   }
 
-  debounceWithMinLength(event) {
-    if (this.timeout) {
-      clearTimeout(this.timeout)
+  // Records `url` in the browser history and loads it into the frame.
+  visit(url) {
+    this.lastUrl = url.href
+    if (url.href !== window.location.href) {
+      window.history.pushState({ adminSuiteLiveFilter: true }, "", url)
     }
 
-    const value = event.target.value
-    const minLength =
-      parseInt(event.target.dataset.adminSuiteLiveFilterMinLengthValue) ||
-      this.minLengthValue
+    this.load(url)
+    this.renderChips()
+    this.markActiveViews()
+  }
 
-    if (value.length === 0 || value.length >= minLength) {
-      this.timeout = setTimeout(() => {
-        this.element.requestSubmit()
-      }, this.debounceValue)
+  load(url) {
+    const frame = this.frameValue || this.form?.dataset.turboFrame
+    const element = frame ? document.getElementById(frame) : null
+
+    if (!element) {
+      window.location.assign(url)
+      return
+    }
+
+    // Setting `src` makes Turbo cancel the frame's in-flight request.
+    if (element.src === url.href && typeof element.reload === "function") {
+      element.reload()
+    } else {
+      element.src = url.href
     }
   }
 
-  clear() {
-    this.inputTargets.forEach((input) => {
-      if (input.type === "checkbox") {
-        input.checked = false
+  // The form's action with its non-empty fields, plus `preserve` params from
+  // the current URL the form doesn't set itself. Pagination starts over.
+  filterUrl() {
+    const form = this.form
+    const url = new URL(form.action, window.location.href)
+    const current = new URLSearchParams(window.location.search)
+    const data = new FormData(form)
+    const params = new URLSearchParams()
+
+    this.preserveValue.forEach((name) => {
+      if (data.has(name)) return
+      current.getAll(name).forEach((value) => params.append(name, value))
+    })
+
+    data.forEach((value, name) => {
+      if (typeof value !== "string" || value === "") return
+
+      const field = form.elements.namedItem(name)
+      if (field && TEXT_TYPES.includes(field.type) && this.belowMinLength(field)) return
+
+      params.append(name, value)
+    })
+
+    url.search = params.toString()
+    return url
+  }
+
+  belowMinLength(field, fallback = 0) {
+    const minLength = Number(field.dataset.adminSuiteLiveFilterMinLengthValue) || Math.max(field.minLength, 0) || fallback
+    const length = field.value.trim().length
+    return minLength > 0 && length > 0 && length < minLength
+  }
+
+  // Only entries pushed by `visit`; Turbo restores its own.
+  onPopState(event) {
+    if (!event.state?.adminSuiteLiveFilter || !this.form) return
+
+    this.restoreFields(new URLSearchParams(window.location.search))
+    this.lastUrl = this.filterUrl().href
+    this.load(new URL(window.location.href))
+    this.renderChips()
+    this.markActiveViews()
+  }
+
+  restoreFields(params) {
+    Array.from(this.form.elements).forEach((field) => {
+      if (!field.name || ["hidden", "submit", "button"].includes(field.type)) return
+
+      if (field.type === "checkbox" || field.type === "radio") {
+        field.checked = params.getAll(field.name).includes(field.value)
       } else {
-        input.value = ""
+        field.value = params.get(field.name) ?? ""
       }
     })
-    this.submit()
+  }
+
+  clearField(field) {
+    if (field.type === "checkbox" || field.type === "radio") {
+      field.checked = false
+    } else {
+      field.value = ""
+    }
+  }
+
+  // Frame navigations Turbo promotes to the URL (sort, pagination links).
+  frameLoaded() {
+    this.markActiveViews()
+  }
+
+  // ---- active filter chips ----
+
+  get activeFields() {
+    if (!this.form) return []
+
+    return Array.from(this.form.elements).filter((field) => {
+      if (!field.name || ["hidden", "submit", "button"].includes(field.type)) return false
+      if (field.type === "checkbox" || field.type === "radio") return field.checked
+      if (TEXT_TYPES.includes(field.type) && this.belowMinLength(field)) return false
+      return field.value.trim() !== ""
+    })
+  }
+
+  renderChips() {
+    if (!this.hasChipsTarget) return
+
+    const fields = this.activeFields
+    const chips = fields.map((field) => this.buildChip(field))
+
+    if (fields.length > 1) {
+      const clearAll = document.createElement("button")
+      clearAll.type = "button"
+      clearAll.className = "text-sm text-slate-500 hover:text-slate-700 underline"
+      clearAll.textContent = "Clear all"
+      clearAll.addEventListener("click", () => this.clear())
+      chips.push(clearAll)
+    }
+
+    this.chipsTarget.replaceChildren(...chips)
+    this.chipsTarget.classList.toggle("hidden", !fields.length)
+  }
+
+  buildChip(field) {
+    const label = fieldLabel(field)
+    const value = fieldValueLabel(field)
+
+    const chip = document.createElement("span")
+    chip.className = CHIP_CLASS
+    chip.textContent = value === null ? label : `${label}: ${value}`
+
+    const remove = document.createElement("button")
+    remove.type = "button"
+    remove.className = "text-indigo-500 hover:text-indigo-700 font-bold"
+    remove.textContent = "×"
+    remove.setAttribute("aria-label", `Remove filter ${label}`)
+    remove.addEventListener("click", () => {
+      this.clearField(field)
+      this.submit()
+    })
+
+    chip.append(remove)
+    return chip
+  }
+
+  // ---- views (preset tabs and saved views) ----
+
+  // Click handler of `view` targets; without a filter form the link just
+  // navigates.
+  applyView(event) {
+    if (!this.form) return
+
+    event.preventDefault()
+    clearTimeout(this.timeout)
+    this.applyQuery(event.currentTarget.dataset.query || "")
+  }
+
+  applyQuery(query) {
+    const params = new URLSearchParams(query)
+    this.restoreFields(params)
+
+    const url = new URL(this.form.action, window.location.href)
+    url.search = params.toString()
+    this.visit(url)
+  }
+
+  // A view is active when the current URL has exactly its params (ignoring the
+  // page, and the sort unless the view sets one).
+  viewMatches(query) {
+    const view = new URLSearchParams(query)
+    const ignored = new Set(["page", ...this.preserveValue.filter((name) => !view.has(name))])
+    const normalize = (params) =>
+      [...params]
+        .filter(([name, value]) => value !== "" && !ignored.has(name))
+        .map(([name, value]) => `${name}=${value}`)
+        .sort()
+        .join("&")
+
+    return normalize(view) === normalize(new URLSearchParams(window.location.search))
+  }
+
+  markActiveViews() {
+    this.viewTargets.forEach((tab) => {
+      const active = this.viewMatches(tab.dataset.query || "")
+      tab.classList.remove(...TAB_ACTIVE_CLASSES, ...TAB_INACTIVE_CLASSES)
+      tab.classList.add(...(active ? TAB_ACTIVE_CLASSES : TAB_INACTIVE_CLASSES))
+      if (active) {
+        tab.setAttribute("aria-current", "page")
+      } else {
+        tab.removeAttribute("aria-current")
+      }
+    })
+
+    this.renderSavedViews()
+  }
+
+  saveView(event) {
+    event?.preventDefault()
+    if (!this.form || !this.hasViewNameTarget) return
+
+    const name = this.viewNameTarget.value.trim()
+    if (!name) {
+      this.viewNameTarget.focus()
+      return
+    }
+
+    const query = new URLSearchParams(window.location.search)
+    query.delete("page")
+    const view = { name, query: query.toString() }
+
+    this.savedViews = [...this.savedViews.filter((saved) => saved.name !== name), view]
+    this.writeViews()
+    this.renderSavedViews()
+    this.viewNameTarget.value = ""
+
+    if (this.viewsUrlValue) this.createRemoteView(view)
+  }
+
+  viewNameKeydown(event) {
+    if (event.key === "Enter") this.saveView(event)
+  }
+
+  deleteView(view) {
+    this.savedViews = this.savedViews.filter((saved) => saved !== view)
+    this.writeViews()
+    this.renderSavedViews()
+
+    if (this.viewsUrlValue && view.id) this.deleteRemoteView(view)
+  }
+
+  renderSavedViews() {
+    if (!this.hasViewsListTarget) return
+
+    this.viewsListTarget.replaceChildren(...this.savedViews.map((view) => this.buildSavedView(view)))
+    if (this.hasViewsEmptyTarget) this.viewsEmptyTarget.classList.toggle("hidden", this.savedViews.length > 0)
+  }
+
+  buildSavedView(view) {
+    const active = this.viewMatches(view.query)
+    const item = document.createElement("li")
+    item.className = "flex items-center gap-2"
+
+    const button = document.createElement("button")
+    button.type = "button"
+    button.className = `flex-1 min-w-0 truncate text-left text-sm rounded px-2 py-1 hover:bg-slate-100 ${
+      active ? "font-medium text-indigo-600" : "text-slate-700"
+    }`
+    button.textContent = view.name
+    if (active) button.setAttribute("aria-current", "page")
+    button.addEventListener("click", () => this.applyQuery(view.query))
+
+    const remove = document.createElement("button")
+    remove.type = "button"
+    remove.className = "text-slate-400 hover:text-red-600 font-bold"
+    remove.textContent = "×"
+    remove.setAttribute("aria-label", `Delete view ${view.name}`)
+    remove.addEventListener("click", () => this.deleteView(view))
+
+    item.append(button, remove)
+    return item
+  }
+
+  get storage() {
+    try {
+      return window.localStorage
+    } catch (_e) {
+      return null
+    }
+  }
+
+  readViews() {
+    if (!this.viewsKeyValue) return []
+
+    try {
+      const views = JSON.parse(this.storage?.getItem(`${VIEWS_PREFIX}${this.viewsKeyValue}`))
+      return Array.isArray(views) ? views.filter(isView) : []
+    } catch (_e) {
+      return []
+    }
+  }
+
+  writeViews() {
+    if (!this.viewsKeyValue) return
+
+    try {
+      this.storage?.setItem(`${VIEWS_PREFIX}${this.viewsKeyValue}`, JSON.stringify(this.savedViews))
+    } catch (_e) {
+      // Storage full or disabled: views last for this page only.
+    }
+  }
+
+  // ---- server persistence ----
+
+  async fetchViews() {
+    try {
+      const url = new URL(this.viewsUrlValue, window.location.href)
+      url.searchParams.set("resource", this.viewsKeyValue)
+
+      const response = await fetch(url, { headers: { Accept: "application/json" } })
+      if (!response.ok) throw new Error(`Loading views failed (${response.status})`)
+
+      const views = await response.json()
+      if (!Array.isArray(views)) return
+
+      const remote = views.filter(isView)
+      const unsynced = this.savedViews.filter((view) => !view.id && !remote.some((saved) => saved.name === view.name))
+
+      this.savedViews = [...remote, ...unsynced]
+      this.writeViews()
+      this.renderSavedViews()
+      unsynced.filter((view) => !this.savingViews.has(view)).forEach((view) => this.createRemoteView(view))
+    } catch (error) {
+      console.error("Saved views:", error)
+    }
+  }
+
+  async createRemoteView(view) {
+    this.savingViews.add(view)
+
+    try {
+      const response = await this.viewsRequest(this.viewsUrlValue, "POST", {
+        resource: this.viewsKeyValue,
+        name: view.name,
+        query: view.query,
+      })
+      if (!response.ok) throw new Error(`Saving the view failed (${response.status})`)
+
+      const saved = await response.json().catch(() => ({}))
+      if (saved?.id) {
+        view.id = saved.id
+        this.writeViews()
+      }
+    } catch (error) {
+      console.error("Saved views:", error)
+    } finally {
+      this.savingViews.delete(view)
+    }
+  }
+
+  async deleteRemoteView(view) {
+    try {
+      const url = new URL(this.viewsUrlValue, window.location.href)
+      url.pathname = `${url.pathname.replace(/\/$/, "")}/${encodeURIComponent(view.id)}`
+
+      const response = await this.viewsRequest(url, "DELETE")
+      if (!response.ok) throw new Error(`Deleting the view failed (${response.status})`)
+    } catch (error) {
+      console.error("Saved views:", error)
+    }
+  }
+
+  viewsRequest(url, method, body = null) {
+    const csrfToken = document.querySelector('meta[name="csrf-token"]')?.content
+
+    return fetch(url, {
+      method,
+      headers: {
+        Accept: "application/json",
+        ...(body ? { "Content-Type": "application/json" } : {}),
+        ...(csrfToken ? { "X-CSRF-Token": csrfToken } : {}),
+      },
+      body: body ? JSON.stringify(body) : null,
+    })
   }
 }
 
+function isView(view) {
+  return typeof view?.name === "string" && typeof view?.query === "string"
+}
+
+function fieldLabel(field) {
+  const label = field.labels?.[0]?.textContent.trim()
+  return label || field.name.replace(/_/g, " ")
+}
+
+// What a chip shows after the label; null for checkboxes (the label says it).
+function fieldValueLabel(field) {
+  if (field.type === "checkbox" || field.type === "radio") return null
+  if (field.tagName === "SELECT") return field.selectedOptions[0]?.textContent.trim() || field.value
+  return field.value.trim()
+}
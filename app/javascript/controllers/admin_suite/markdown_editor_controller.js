@@ -1,67 +1,509 @@
 import { Controller } from "@hotwired/stimulus"
+import { DEFAULT_MAX_SIZE, fileError } from "controllers/admin_suite/file_validation"
+
+const DRAFT_PREFIX = "admin_suite:draft:"
+
+const DEFAULT_TOOLBAR = [
+  "bold",
+  "italic",
+  "heading",
+  "|",
+  "quote",
+  "unordered-list",
+  "ordered-list",
+  "|",
+  "link",
+  "image",
+  "code",
+  "|",
+  "preview",
+  "side-by-side",
+  "fullscreen",
+  "|",
+  "guide",
+]
+
+const LOAD_POLL_INTERVAL = 100
+const PREVIEW_DELAY = 300
 
 /**
  * Markdown Editor Controller (Admin Suite)
  *
  * Initializes EasyMDE on a textarea element for rich markdown editing.
- * EasyMDE is loaded globally via script tag in the admin layout.
+ * EasyMDE is loaded globally via script tag in the admin layout. If it has not
+ * loaded after `loadTimeout` ms the textarea is left as is, with a notice.
+ *
+ * `toolbar` (EasyMDE button names, `[]` hides it), `placeholder`, `minHeight`
+ * and `status` (status bar items, `[]` hides it) are configurable. With a
+ * `previewUrl`, previews are rendered by the server (the docs viewer's
+ * renderer) instead of EasyMDE's built-in one.
+ *
+ * When a `draftKey` is given, edits are autosaved to localStorage (per
+ * resource/record/field). If a draft newer than the saved record (`savedAt`,
+ * ms since epoch) is found on load, a restore/discard banner is shown; it is
+ * held in memory, so autosaving carries on while the banner is up. Drafts
+ * are cleared after a successful (Turbo) submit, or on the next load once the
+ * record has been saved after them.
+ *
+ * When an `uploadUrl` is given, images pasted or dropped into the editor are
+ * checked against `accept`/`maxSize` (same rules as the file upload controller),
+ * POSTed as multipart `file` to that URL (which must respond with JSON
+ * `{ "url": "..." }`) and inserted as markdown images. A placeholder marks the
+ * spot while the upload is in flight; failures are shown below the editor.
  */
 export default class extends Controller {
   static targets = ["textarea"]
+  static values = {
+    draftKey: { type: String, default: "" },
+    savedAt: { type: Number, default: 0 },
+    draftDelay: { type: Number, default: 1000 },
+    uploadUrl: { type: String, default: "" },
+    accept: { type: String, default: "image/*" },
+    maxSize: { type: Number, default: DEFAULT_MAX_SIZE },
+    toolbar: { type: Array, default: DEFAULT_TOOLBAR },
+    placeholder: { type: String, default: "Write your content in Markdown..." },
+    minHeight: { type: String, default: "400px" },
+    status: { type: Array, default: ["lines", "words", "cursor"] },
+    previewUrl: { type: String, default: "" },
+    loadTimeout: { type: Number, default: 5000 },
+  }
 
   connect() {
+    this.setupDrafts()
+    this.setupUploads()
     this.initEditor()
   }
 
-  initEditor() {
+  get textarea() {
+    return this.hasTextareaTarget ? this.textareaTarget : this.element
+  }
+
+  initEditor(waited = 0) {
+    if (this.editor) return
+
     if (typeof window.EasyMDE === "undefined") {
-      setTimeout(() => this.initEditor(), 100)
+      if (waited >= this.loadTimeoutValue) {
+        this.showLoadNotice()
+        return
+      }
+
+      this.loadTimer = setTimeout(() => this.initEditor(waited + LOAD_POLL_INTERVAL), LOAD_POLL_INTERVAL)
       return
     }
 
-    if (this.editor) return
-
-    this.editor = new window.EasyMDE({
-      element: this.textareaTarget,
+    const options = {
+      element: this.textarea,
       spellChecker: false,
       autofocus: false,
       autosave: { enabled: false },
-      status: ["lines", "words", "cursor"],
-      placeholder: "Write your content in Markdown...",
-      toolbar: [
-        "bold",
-        "italic",
-        "heading",
-        "|",
-        "quote",
-        "unordered-list",
-        "ordered-list",
-        "|",
-        "link",
-        "image",
-        "code",
-        "|",
-        "preview",
-        "side-by-side",
-        "fullscreen",
-        "|",
-        "guide",
-      ],
-      minHeight: "400px",
+      status: this.statusValue.length ? this.statusValue : false,
+      placeholder: this.placeholderValue,
+      toolbar: this.toolbarValue.length ? this.toolbarValue : false,
+      minHeight: this.minHeightValue,
       renderingConfig: { codeSyntaxHighlighting: true },
       forceSync: true,
-    })
+    }
+
+    if (this.previewUrlValue) {
+      options.previewRender = (plainText, preview) => this.renderPreview(plainText, preview)
+    }
+
+    this.editor = new window.EasyMDE(options)
 
     this.editor.codemirror.on("change", () => {
-      this.textareaTarget.value = this.editor.value()
+      this.textarea.value = this.editor.value()
+      this.scheduleDraftSave()
     })
+
+    if (this.uploadUrlValue) {
+      this.editor.codemirror.on("paste", (_cm, event) => this.onPaste(event))
+      this.editor.codemirror.on("drop", (_cm, event) => this.onDrop(event))
+    }
   }
 
   disconnect() {
+    clearTimeout(this.loadTimer)
+    clearTimeout(this.previewTimer)
+    this.previewRequest?.abort()
+    this.loadNotice?.remove()
+    this.loadNotice = null
+
+    this.teardownDrafts()
+    this.teardownUploads()
+    this.hideDraftBanner()
+
     if (this.editor) {
       this.editor.toTextArea()
       this.editor = null
     }
   }
-}
 
+  showLoadNotice() {
+    if (this.loadNotice) return
+
+    this.loadNotice = document.createElement("p")
+    this.loadNotice.className = "mt-1 text-xs text-slate-500"
+    this.loadNotice.setAttribute("role", "status")
+    this.loadNotice.textContent = "The markdown editor could not be loaded. Editing as plain text."
+    this.placeAfterEditor(this.loadNotice)
+  }
+
+  // ---- server preview ----
+
+  // EasyMDE calls this on every preview refresh; the server response is
+  // debounced and filled in asynchronously, so keep what is shown meanwhile.
+  renderPreview(plainText, preview) {
+    preview.classList.add("admin-suite-doc-content")
+
+    if (this.previewCache?.text === plainText) return this.previewCache.html
+
+    clearTimeout(this.previewTimer)
+    this.previewTimer = setTimeout(() => this.fetchPreview(plainText, preview), PREVIEW_DELAY)
+
+    return preview.innerHTML || "<p>Loading preview…</p>"
+  }
+
+  async fetchPreview(plainText, preview) {
+    this.previewRequest?.abort()
+    const request = new AbortController()
+    this.previewRequest = request
+
+    const csrfToken = document.querySelector('meta[name="csrf-token"]')?.content
+    const body = new FormData()
+    body.append("markdown", plainText)
+
+    try {
+      const response = await fetch(this.previewUrlValue, {
+        method: "POST",
+        headers: {
+          Accept: "text/html",
+          ...(csrfToken ? { "X-CSRF-Token": csrfToken } : {}),
+        },
+        body,
+        signal: request.signal,
+      })
+      if (!response.ok) throw new Error(`Preview failed (${response.status}).`)
+
+      const html = await response.text()
+      this.previewCache = { text: plainText, html }
+      preview.innerHTML = html
+    } catch (e) {
+      if (e.name === "AbortError") return
+
+      // Fall back to EasyMDE's client-side renderer.
+      if (this.editor) preview.innerHTML = this.editor.markdown(plainText)
+    }
+  }
+
+  // ---- image uploads ----
+
+  setupUploads() {
+    if (!this.uploadUrlValue) return
+
+    this.uploadCount = 0
+    this.onTextareaPaste = (event) => this.onPaste(event)
+    this.onTextareaDrop = (event) => this.onDrop(event)
+
+    // Until (or unless) EasyMDE takes over, handle the plain textarea.
+    this.textarea.addEventListener("paste", this.onTextareaPaste)
+    this.textarea.addEventListener("drop", this.onTextareaDrop)
+  }
+
+  teardownUploads() {
+    if (!this.onTextareaPaste) return
+
+    this.textarea.removeEventListener("paste", this.onTextareaPaste)
+    this.textarea.removeEventListener("drop", this.onTextareaDrop)
+    this.onTextareaPaste = null
+    this.hideUploadError()
+  }
+
+  onPaste(event) {
+    const files = this.imageFiles(event.clipboardData)
+    if (!files.length) return
+
+    event.preventDefault()
+    files.forEach((file) => this.uploadImage(file))
+  }
+
+  onDrop(event) {
+    const files = this.imageFiles(event.dataTransfer)
+    if (!files.length) return
+
+    event.preventDefault()
+
+    if (this.editor) {
+      const cm = this.editor.codemirror
+      cm.focus()
+      cm.setCursor(cm.coordsChar({ left: event.clientX, top: event.clientY }))
+    }
+
+    files.forEach((file) => this.uploadImage(file))
+  }
+
+  imageFiles(dataTransfer) {
+    return [...(dataTransfer?.files || [])].filter((file) => file.type.startsWith("image/"))
+  }
+
+  async uploadImage(file) {
+    const error = fileError(file, { accept: this.acceptValue, maxSize: this.maxSizeValue })
+    if (error) {
+      this.showUploadError(`${file.name}: ${error}`)
+      return
+    }
+
+    this.uploadCount += 1
+    const alt = file.name.replace(/\.[^.]+$/, "").replace(/[\[\]]/g, "") || "image"
+    const placeholder = `![Uploading ${alt}…](uploading-${Date.now()}-${this.uploadCount})`
+    this.insertText(placeholder)
+
+    try {
+      const url = await this.postImage(file)
+      this.replaceText(placeholder, `![${alt}](${url.replace(/ /g, "%20").replace(/\)/g, "%29")})`)
+      this.hideUploadError()
+    } catch (e) {
+      this.replaceText(placeholder, "")
+      this.showUploadError(`${file.name}: ${e.message}`)
+    }
+  }
+
+  async postImage(file) {
+    const csrfToken = document.querySelector('meta[name="csrf-token"]')?.content
+    const body = new FormData()
+    body.append("file", file)
+
+    const response = await fetch(this.uploadUrlValue, {
+      method: "POST",
+      headers: {
+        Accept: "application/json",
+        ...(csrfToken ? { "X-CSRF-Token": csrfToken } : {}),
+      },
+      body,
+    })
+
+    const data = await response.json().catch(() => ({}))
+    if (!response.ok) {
+      const errors = Array.isArray(data?.errors) ? data.errors.join(", ") : data?.error
+      throw new Error(errors || `Upload failed (${response.status}).`)
+    }
+
+    const url = data?.url || data?.location
+    if (!url) throw new Error("Upload endpoint returned no url.")
+
+    return url
+  }
+
+  insertText(text) {
+    if (this.editor) {
+      this.editor.codemirror.replaceSelection(text)
+      return
+    }
+
+    const el = this.textarea
+    el.setRangeText(text, el.selectionStart, el.selectionEnd, "end")
+    el.dispatchEvent(new Event("input", { bubbles: true }))
+  }
+
+  replaceText(search, replacement) {
+    if (this.editor) {
+      const cm = this.editor.codemirror
+      const index = cm.getValue().indexOf(search)
+      if (index === -1) return
+
+      cm.replaceRange(replacement, cm.posFromIndex(index), cm.posFromIndex(index + search.length))
+      return
+    }
+
+    const el = this.textarea
+    if (!el.value.includes(search)) return
+
+    el.value = el.value.replace(search, () => replacement)
+    el.dispatchEvent(new Event("input", { bubbles: true }))
+  }
+
+  showUploadError(message) {
+    if (!this.uploadError) {
+      this.uploadError = document.createElement("p")
+      this.uploadError.className = "mt-1 text-sm text-red-600"
+      this.uploadError.setAttribute("role", "alert")
+      this.placeAfterEditor(this.uploadError)
+    }
+
+    this.uploadError.textContent = message
+  }
+
+  hideUploadError() {
+    this.uploadError?.remove()
+    this.uploadError = null
+  }
+
+  placeAfterEditor(element) {
+    if (this.hasTextareaTarget) {
+      this.element.append(element)
+    } else {
+      this.element.after(element)
+    }
+  }
+
+  // ---- drafts ----
+
+  setupDrafts() {
+    if (!this.draftKeyValue || !this.storage) return
+
+    this.initialValue = this.textarea.value
+
+    this.onInput = () => this.scheduleDraftSave()
+    this.textarea.addEventListener("input", this.onInput)
+
+    this.onSubmitEnd = (event) => {
+      if (event.detail?.success) this.clearDraft()
+    }
+    this.form = this.textarea.closest("form")
+    this.form?.addEventListener("turbo:submit-end", this.onSubmitEnd)
+
+    this.flushDraft = this.flushDraft.bind(this)
+    window.addEventListener("pagehide", this.flushDraft)
+
+    const draft = this.readDraft()
+    if (!draft) return
+
+    // The record was saved after the draft was written: nothing to recover.
+    if (draft.savedAt <= this.savedAtValue) {
+      this.clearDraft()
+      return
+    }
+
+    if (draft.value !== this.initialValue) {
+      this.recoveredDraft = draft
+      this.showDraftBanner(draft)
+    }
+  }
+
+  teardownDrafts() {
+    if (!this.onInput) return
+
+    this.flushDraft()
+    this.textarea.removeEventListener("input", this.onInput)
+    this.form?.removeEventListener("turbo:submit-end", this.onSubmitEnd)
+    window.removeEventListener("pagehide", this.flushDraft)
+    this.onInput = null
+  }
+
+  get storage() {
+    try {
+      return window.localStorage
+    } catch (_e) {
+      return null
+    }
+  }
+
+  get storageKey() {
+    return `${DRAFT_PREFIX}${this.draftKeyValue}`
+  }
+
+  scheduleDraftSave() {
+    if (!this.onInput) return
+
+    clearTimeout(this.draftTimeout)
+    this.draftTimeout = setTimeout(() => this.saveDraft(), this.draftDelayValue)
+  }
+
+  flushDraft() {
+    if (!this.draftTimeout) return
+    this.saveDraft()
+  }
+
+  saveDraft() {
+    clearTimeout(this.draftTimeout)
+    this.draftTimeout = null
+
+    const value = this.editor ? this.editor.value() : this.textarea.value
+
+    try {
+      this.storage.setItem(this.storageKey, JSON.stringify({ value, savedAt: Date.now() }))
+    } catch (_e) {
+      // Quota exceeded or storage disabled; drafts are best effort.
+    }
+  }
+
+  readDraft() {
+    try {
+      const draft = JSON.parse(this.storage.getItem(this.storageKey))
+      return typeof draft?.value === "string" ? draft : null
+    } catch (_e) {
+      return null
+    }
+  }
+
+  clearDraft() {
+    clearTimeout(this.draftTimeout)
+    this.draftTimeout = null
+
+    try {
+      this.storage?.removeItem(this.storageKey)
+    } catch (_e) {
+      // best effort
+    }
+  }
+
+  restoreDraft(event) {
+    event?.preventDefault()
+    const draft = this.recoveredDraft
+    this.recoveredDraft = null
+    this.hideDraftBanner()
+    if (!draft) return
+
+    if (this.editor) {
+      this.editor.value(draft.value)
+    } else {
+      this.textarea.value = draft.value
+      this.textarea.dispatchEvent(new Event("input", { bubbles: true }))
+    }
+  }
+
+  // Drops the recovered draft; edits autosaved since the banner appeared stay.
+  discardDraft(event) {
+    event?.preventDefault()
+    const draft = this.recoveredDraft
+    this.recoveredDraft = null
+    this.hideDraftBanner()
+
+    if (!this.draftTimeout && this.readDraft()?.savedAt === draft?.savedAt) this.clearDraft()
+  }
+
+  showDraftBanner(draft) {
+    const banner = document.createElement("div")
+    banner.className =
+      "flex flex-wrap items-center gap-3 mb-2 px-3 py-2 text-sm text-amber-800 bg-amber-50 border border-amber-200 rounded-lg"
+    banner.setAttribute("role", "status")
+
+    const message = document.createElement("span")
+    message.className = "flex-1"
+    message.textContent = `You have an unsaved draft from ${new Date(draft.savedAt).toLocaleString()}.`
+
+    const restore = document.createElement("button")
+    restore.type = "button"
+    restore.className = "font-medium underline hover:text-amber-900"
+    restore.textContent = "Restore draft"
+    restore.addEventListener("click", (event) => this.restoreDraft(event))
+
+    const discard = document.createElement("button")
+    discard.type = "button"
+    discard.className = "font-medium text-amber-700 hover:text-amber-900"
+    discard.textContent = "Discard"
+    discard.addEventListener("click", (event) => this.discardDraft(event))
+
+    banner.append(message, restore, discard)
+    if (this.hasTextareaTarget) {
+      this.element.prepend(banner)
+    } else {
+      this.element.before(banner)
+    }
+    this.banner = banner
+  }
+
+  hideDraftBanner() {
+    this.banner?.remove()
+    this.banner = null
+  }
+}
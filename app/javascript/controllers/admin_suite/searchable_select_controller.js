@@ -1,136 +1,498 @@
 import { Controller } from "@hotwired/stimulus"
+import {
+  countMessage,
+  createLiveRegion,
+  navigationIndex,
+  setActiveDescendant,
+  setExpanded,
+  setupCombobox,
+  typeaheadIndex,
+} from "controllers/admin_suite/combobox"
+
+// Dropdown row heights in px; rows are absolutely positioned so only the ones
+// in view (plus OVERSCAN either side) are in the DOM.
+const ROW_HEIGHT = 36
+const RICH_ROW_HEIGHT = 52
+const HEADER_HEIGHT = 28
+const OVERSCAN = 4
+
+// Input types the create form renders as-is; anything else is a text input.
+const CREATE_INPUT_TYPES = ["email", "number", "url", "tel", "date"]
+
+const CHIP_CLASS =
+  "inline-flex items-center gap-1 px-2 py-1 bg-indigo-100 text-indigo-700 rounded text-sm focus:outline-none focus:ring-2 focus:ring-indigo-500"
 
 /**
  * Searchable Select Controller (Admin Suite)
  *
  * Provides a searchable dropdown for select fields with optional AJAX search.
+ *
+ * Options are `{ value, label }` plus optional `group` (rendered under a
+ * header; options of a group are kept together), `description` (second line)
+ * and `avatar` (image URL). The dropdown is virtualized, so lists of thousands
+ * of options stay fast; matches of the query are highlighted. All option text
+ * is rendered as text, never as HTML.
+ *
+ * With a `searchUrl`, input is debounced (`searchDelay` ms), the in-flight
+ * request is aborted when a newer one starts, and results are cached per
+ * query. The endpoint gets `q` (and `page` from 2 on) and returns either an
+ * array of options or `{ results: [...], next_page: 2 }`; further pages load as
+ * the dropdown is scrolled to the bottom. Loading and failures (with a retry)
+ * are shown in the dropdown.
+ *
+ * With `multiple`, chosen options become removable chips (each carrying a
+ * hidden input named `fieldName`, e.g. `post[tag_ids][]`) and are left out of
+ * the results. Backspace in the empty search field removes the last chip;
+ * ArrowLeft/ArrowRight move between chips and Backspace/Delete remove the
+ * focused one. `maxSelections` (0 = unlimited) caps the number of chips.
+ *
+ * The search field is a WAI-ARIA combobox (`aria-expanded`,
+ * `aria-activedescendant`) controlling a listbox of options, and result counts
+ * are announced through a live region. ArrowUp/ArrowDown and PageUp/PageDown
+ * move the highlight (Home/End too once an option is highlighted), typing
+ * highlights the first option starting with the query, and Enter or Tab
+ * accepts the highlighted option.
+ *
+ * "Create …" POSTs `{ name, title }` to `createUrl`. With `createFields`
+ * (`[{ name, label, type, required, placeholder, options }]`) it opens an
+ * inline form instead and POSTs its values (under `createParam` when set);
+ * validation errors (`{ errors: { field: [...] } }`) are shown per field, and
+ * the created record (`{ id, name | title | label }`) is selected.
+ *
+ * Every selection change dispatches `admin-suite--searchable-select:change`
+ * with the selected `values`.
  */
 export default class extends Controller {
-  static targets = ["input", "search", "dropdown"]
+  static targets = ["input", "search", "dropdown", "chip"]
   static values = {
     options: { type: Array, default: [] },
     creatable: { type: Boolean, default: false },
     searchUrl: { type: String, default: "" },
     createUrl: { type: String, default: "" },
+    searchDelay: { type: Number, default: 250 },
+    createFields: { type: Array, default: [] },
+    createParam: { type: String, default: "" },
+    multiple: { type: Boolean, default: false },
+    fieldName: { type: String, default: "" },
+    maxSelections: { type: Number, default: 0 },
   }
 
   connect() {
     this.isOpen = false
     this.selectedIndex = -1
-    this.filteredOptions = [...this.optionsValue]
+    this.query = ""
+    this.filteredOptions = [...this.allOptions]
+    this.cache = new Map()
+
+    setupCombobox(this.searchTarget, this.dropdownTarget, "admin-suite-select")
+    this.liveRegion = createLiveRegion(this.element)
 
     this.clickOutside = this.clickOutside.bind(this)
     document.addEventListener("click", this.clickOutside)
+
+    this.onScroll = () => {
+      this.renderRows()
+      this.loadMoreIfNeeded()
+    }
+    this.dropdownTarget.addEventListener("scroll", this.onScroll)
   }
 
   disconnect() {
     document.removeEventListener("click", this.clickOutside)
+    this.dropdownTarget.removeEventListener("scroll", this.onScroll)
+    clearTimeout(this.searchTimer)
+    this.request?.abort()
+    this.liveRegion.disconnect()
+    this.closeCreateForm()
+  }
+
+  optionsValueChanged() {
+    this.allOptions = groupOptions(this.optionsValue.map(normalizeOption))
   }
 
   open() {
+    this.closeCreateForm()
     this.isOpen = true
-    this.filteredOptions = [...this.optionsValue]
+    this.query = ""
+    this.filteredOptions = this.unselected(this.allOptions)
     this.renderDropdown()
     this.dropdownTarget.classList.remove("hidden")
+    setExpanded(this.searchTarget, true)
+
+    if (this.searchUrlValue && !this.selectionFull) this.remoteSearch("", { immediate: true })
   }
 
   close() {
     this.isOpen = false
     this.dropdownTarget.classList.add("hidden")
     this.selectedIndex = -1
+    setExpanded(this.searchTarget, false)
   }
 
+  // The event path is fixed when the click is dispatched, so a click on an
+  // option that re-rendering has since detached still counts as inside.
   clickOutside(event) {
-    if (!this.element.contains(event.target)) {
+    if (!event.composedPath().includes(this.element)) {
       this.close()
     }
   }
 
   search() {
-    const query = this.searchTarget.value.toLowerCase().trim()
+    if (!this.isOpen) this.open()
 
-    if (this.searchUrlValue) {
-      this.fetchOptions(query)
+    this.query = this.searchTarget.value.trim()
+    const query = this.query.toLowerCase()
+
+    if (this.selectionFull) {
+      this.renderDropdown()
+    } else if (this.searchUrlValue) {
+      this.remoteSearch(query)
     } else {
-      this.filteredOptions = this.optionsValue.filter((opt) =>
-        opt.label.toLowerCase().includes(query),
+      this.filteredOptions = this.unselected(this.allOptions).filter(
+        (opt) =>
+          opt.label.toLowerCase().includes(query) ||
+          String(opt.description || "").toLowerCase().includes(query),
       )
 
       if (this.creatableValue && query && !this.hasExactOptionMatch(query)) {
         this.filteredOptions.push(this.buildCreateOption(query))
       }
 
+      this.selectedIndex = this.typeaheadIndex()
       this.renderDropdown()
     }
+  }
 
-    if (!this.isOpen) this.open()
+  // ---- remote search ----
+
+  remoteSearch(query, { immediate = false } = {}) {
+    clearTimeout(this.searchTimer)
+
+    const cached = this.cache.get(query)
+    if (cached) {
+      this.request?.abort()
+      this.request = null
+      this.showRemoteResults(query, cached)
+      return
+    }
+
+    if (immediate) {
+      this.fetchOptions(query)
+    } else {
+      this.searchTimer = setTimeout(() => this.fetchOptions(query), this.searchDelayValue)
+    }
   }
 
-  async fetchOptions(query) {
+  async fetchOptions(query, page = 1) {
+    this.request?.abort()
+    const request = new AbortController()
+    this.request = request
+    this.requestPage = page
+    this.remoteError = null
+
+    if (page === 1) {
+      this.list = null
+      this.showMessage("Searching…", "text-slate-400")
+    } else {
+      this.renderFooter()
+    }
+
     try {
-      const response = await fetch(
-        `${this.searchUrlValue}?q=${encodeURIComponent(query)}`,
-      )
-      const data = await response.json()
-      this.filteredOptions = data.map((item) => ({
-        value: item.id || item.value,
-        label: item.name || item.title || item.label,
-      }))
+      const url = new URL(this.searchUrlValue, window.location.href)
+      url.searchParams.set("q", query)
+      if (page > 1) url.searchParams.set("page", page)
 
-      if (this.creatableValue && query && !this.hasExactOptionMatch(query)) {
-        this.filteredOptions.push(this.buildCreateOption(query))
-      }
+      const response = await fetch(url, { headers: { Accept: "application/json" }, signal: request.signal })
+      if (!response.ok) throw new Error(`Search failed (${response.status})`)
 
-      this.renderDropdown()
+      const { results, nextPage } = parseResults(await response.json(), page)
+      const previous = page > 1 ? this.cache.get(query)?.options || [] : []
+      const entry = { options: [...previous, ...results.map(normalizeOption)], nextPage }
+      this.cache.set(query, entry)
+
+      if (this.request !== request) return
+      this.request = null
+      this.showRemoteResults(query, entry, { keepScroll: page > 1 })
     } catch (error) {
-      console.error("Search failed:", error)
+      if (error.name === "AbortError" || this.request !== request) return
+
+      this.request = null
+      this.remoteError = { query, page }
+
+      if (page === 1) {
+        this.list = null
+        this.showMessage("Couldn't load results.", "text-red-600", this.retryButton())
+      } else {
+        this.renderFooter()
+      }
+    }
+  }
+
+  showRemoteResults(query, entry, { keepScroll = false } = {}) {
+    this.remoteQuery = query
+    this.nextPage = entry.nextPage
+    this.remoteError = null
+    this.filteredOptions = this.unselected(groupOptions(entry.options))
+
+    if (this.creatableValue && query && !this.hasExactOptionMatch(query)) {
+      this.filteredOptions.push(this.buildCreateOption(query))
+    }
+
+    if (!keepScroll) this.selectedIndex = this.typeaheadIndex()
+    this.renderDropdown({ keepScroll })
+    this.loadMoreIfNeeded()
+  }
+
+  loadMoreIfNeeded() {
+    if (!this.searchUrlValue || !this.nextPage || !this.list || this.request || this.remoteError) return
+
+    const { scrollTop, clientHeight, scrollHeight } = this.dropdownTarget
+    if (scrollTop + clientHeight >= scrollHeight - ROW_HEIGHT * 3) {
+      this.fetchOptions(this.remoteQuery, this.nextPage)
+    }
+  }
+
+  retry() {
+    if (!this.remoteError) return
+
+    const { query, page } = this.remoteError
+    this.fetchOptions(query, page)
+  }
+
+  retryButton() {
+    const button = document.createElement("button")
+    button.type = "button"
+    button.className = "ml-2 font-medium underline hover:text-red-700"
+    button.textContent = "Retry"
+    button.addEventListener("click", (event) => {
+      event.stopPropagation()
+      this.retry()
+    })
+    return button
+  }
+
+  // Status row under the list while a further page loads or after it failed.
+  renderFooter() {
+    this.footer?.remove()
+    this.footer = null
+    if (!this.list) return
+
+    const loadingMore = this.request && this.requestPage > 1
+    if (!loadingMore && !this.remoteError) return
+
+    this.footer = document.createElement("div")
+    this.footer.className = `px-3 py-2 text-sm ${loadingMore ? "text-slate-400" : "text-red-600"}`
+    if (loadingMore) {
+      this.footer.textContent = "Loading more…"
+    } else {
+      this.footer.append("Couldn't load more results.", this.retryButton())
     }
+
+    this.dropdownTarget.append(this.footer)
   }
 
-  renderDropdown() {
+  renderDropdown({ keepScroll = false } = {}) {
+    this.selectedIndex = Math.min(this.selectedIndex, this.filteredOptions.length - 1)
+
+    if (this.selectionFull) {
+      this.list = null
+      this.showMessage(`You can select up to ${this.maxSelectionsValue}.`, "text-amber-600")
+      return
+    }
+
     if (!this.filteredOptions.length) {
-      this.dropdownTarget.innerHTML = `
-        <div class="px-3 py-2 text-sm text-slate-400">No results found</div>
-      `
+      this.list = null
+      this.showMessage("No results found", "text-slate-400")
       return
     }
 
-    this.dropdownTarget.innerHTML = this.filteredOptions
-      .map(
-        (opt, index) => `
-      <button type="button"
-              class="block w-full text-left px-3 py-2 text-sm hover:bg-slate-100 ${index === this.selectedIndex ? "bg-slate-100" : ""} ${opt.isNew ? "text-indigo-600 font-medium" : "text-slate-700"}"
-              data-action="click->admin-suite--searchable-select#select"
-              data-value="${opt.value}"
-              data-label="${opt.label}"
-              data-create-label="${opt.createLabel || ""}"
-              data-is-new="${opt.isNew ? "true" : "false"}">
-        ${opt.label}
-      </button>
-    `,
-      )
-      .join("")
+    this.buildRows()
+
+    this.list = document.createElement("div")
+    this.list.className = "relative"
+    this.list.style.height = `${this.totalHeight}px`
+
+    const scrollTop = this.dropdownTarget.scrollTop
+    this.dropdownTarget.replaceChildren(this.list)
+    this.dropdownTarget.scrollTop = keepScroll ? scrollTop : 0
+    if (keepScroll) {
+      this.renderRows()
+    } else {
+      this.updateHighlight()
+    }
+    this.renderFooter()
+    this.announceResults()
+  }
+
+  announceResults() {
+    const count = this.filteredOptions.filter((option) => !option.isNew).length
+    const create = this.filteredOptions.find((option) => option.isNew)
+    this.liveRegion.announce(`${countMessage(count)}${create ? ` ${create.label} is available.` : ""}`)
+  }
+
+  // First option (not the "Create" row) starting with / containing the query.
+  typeaheadIndex() {
+    return typeaheadIndex(
+      this.filteredOptions.map((option) => (option.isNew ? "" : option.label)),
+      this.query,
+    )
+  }
+
+  // Flattens the options into positioned rows, with a header row wherever a
+  // new group starts.
+  buildRows() {
+    this.rows = []
+    this.optionRows = []
+
+    let top = 0
+    let group = null
+
+    this.filteredOptions.forEach((option, index) => {
+      if (option.group && option.group !== group) {
+        this.rows.push({ header: option.group, top, height: HEADER_HEIGHT })
+        top += HEADER_HEIGHT
+      }
+      group = option.group || null
+
+      const row = { index, top, height: option.description || option.avatar ? RICH_ROW_HEIGHT : ROW_HEIGHT }
+      this.rows.push(row)
+      this.optionRows[index] = row
+      top += row.height
+    })
+
+    this.totalHeight = top
+  }
+
+  renderRows() {
+    if (!this.list) return
+
+    const { scrollTop, clientHeight } = this.dropdownTarget
+    const viewport = clientHeight || 240
+    const first = Math.max(0, rowIndexAt(this.rows, scrollTop) - OVERSCAN)
+    const last = Math.min(this.rows.length, rowIndexAt(this.rows, scrollTop + viewport) + 1 + OVERSCAN)
+
+    this.list.replaceChildren(...this.rows.slice(first, last).map((row) => this.buildRow(row)))
+    setActiveDescendant(this.searchTarget, this.list.querySelector('[aria-selected="true"]'))
+  }
+
+  buildRow(row) {
+    if (row.header) {
+      const header = document.createElement("div")
+      header.className =
+        "absolute inset-x-0 flex items-center px-3 text-xs font-semibold uppercase tracking-wide text-slate-400 bg-slate-50 dark:bg-slate-900"
+      header.style.top = `${row.top}px`
+      header.style.height = `${row.height}px`
+      header.setAttribute("role", "presentation")
+      header.textContent = row.header
+      return header
+    }
+
+    const option = this.filteredOptions[row.index]
+    const button = document.createElement("button")
+    button.type = "button"
+    button.className = `absolute inset-x-0 flex items-center gap-2 w-full text-left px-3 text-sm hover:bg-slate-100 ${
+      option.isNew ? "text-indigo-600 font-medium" : "text-slate-700"
+    }`
+    button.classList.toggle("bg-slate-100", row.index === this.selectedIndex)
+    button.id = `${this.dropdownTarget.id}-option-${row.index}`
+    button.tabIndex = -1
+    button.setAttribute("role", "option")
+    button.setAttribute("aria-selected", String(row.index === this.selectedIndex))
+    button.setAttribute("aria-setsize", this.filteredOptions.length)
+    button.setAttribute("aria-posinset", row.index + 1)
+    button.style.top = `${row.top}px`
+    button.style.height = `${row.height}px`
+    button.dataset.index = row.index
+    button.dataset.action = "click->admin-suite--searchable-select#select"
+
+    if (option.avatar) {
+      const avatar = document.createElement("img")
+      avatar.src = option.avatar
+      avatar.alt = ""
+      avatar.className = "w-7 h-7 rounded-full object-cover flex-shrink-0"
+      button.append(avatar)
+    }
+
+    const text = document.createElement("span")
+    text.className = "min-w-0 flex-1"
+
+    const label = document.createElement("span")
+    label.className = "block truncate"
+    label.append(option.isNew ? option.label : highlight(option.label, this.query))
+    text.append(label)
+
+    if (option.description) {
+      const description = document.createElement("span")
+      description.className = "block truncate text-xs text-slate-500"
+      description.append(highlight(option.description, this.query))
+      text.append(description)
+    }
+
+    button.append(text)
+    return button
+  }
+
+  // Moves the keyboard highlight without rebuilding the list, scrolling the
+  // highlighted row into view.
+  updateHighlight() {
+    const row = this.optionRows?.[this.selectedIndex]
+
+    if (row) {
+      const dropdown = this.dropdownTarget
+      if (row.top < dropdown.scrollTop) {
+        dropdown.scrollTop = row.top
+      } else if (row.top + row.height > dropdown.scrollTop + dropdown.clientHeight) {
+        dropdown.scrollTop = row.top + row.height - dropdown.clientHeight
+      }
+    }
+
+    this.renderRows()
+  }
+
+  showMessage(message, className, ...extra) {
+    const element = document.createElement("div")
+    element.className = `px-3 py-2 text-sm ${className}`
+    element.setAttribute("role", "presentation")
+    element.append(message, ...extra)
+    this.footer = null
+    this.dropdownTarget.replaceChildren(element)
+    setActiveDescendant(this.searchTarget, null)
+    this.liveRegion.announce(message)
+  }
+
+  // Options per PageUp/PageDown step: a dropdown's height of plain rows.
+  get pageSize() {
+    return Math.max(1, Math.floor((this.dropdownTarget.clientHeight || 240) / ROW_HEIGHT) - 1)
   }
 
   async select(event) {
-    const option = this.optionFromElement(event.currentTarget)
+    const option = this.filteredOptions[Number(event.currentTarget.dataset.index)]
     await this.applyOption(option)
   }
 
   async keydown(event) {
+    if (this.navigates(event)) {
+      event.preventDefault()
+
+      if (!this.isOpen) {
+        this.open()
+        if (event.altKey) return
+      }
+
+      const index = navigationIndex(event.key, this.selectedIndex, this.filteredOptions.length, this.pageSize)
+      if (index !== null) {
+        this.selectedIndex = index
+        this.updateHighlight()
+      }
+      return
+    }
+
     switch (event.key) {
-      case "ArrowDown":
-        event.preventDefault()
-        this.selectedIndex = Math.min(
-          this.selectedIndex + 1,
-          this.filteredOptions.length - 1,
-        )
-        this.renderDropdown()
-        break
-      case "ArrowUp":
-        event.preventDefault()
-        this.selectedIndex = Math.max(this.selectedIndex - 1, 0)
-        this.renderDropdown()
+      case "Tab":
+        if (this.isOpen && this.filteredOptions[this.selectedIndex] && !this.filteredOptions[this.selectedIndex].isNew) {
+          await this.applyOption(this.filteredOptions[this.selectedIndex], { keepOpen: false })
+        }
+        this.close()
         break
       case "Enter":
         event.preventDefault()
@@ -142,11 +504,35 @@ export default class extends Controller {
       case "Escape":
         this.close()
         break
+      case "Backspace":
+      case "ArrowLeft":
+        if (this.multipleValue && this.chipTargets.length && this.caretAtStart) {
+          event.preventDefault()
+          const last = this.chipTargets[this.chipTargets.length - 1]
+          if (event.key === "Backspace") {
+            this.removeSelection(last)
+          } else {
+            last.focus()
+          }
+        }
+        break
     }
   }
 
+  // Home/End keep moving the caret in the search field until an option is
+  // highlighted.
+  navigates(event) {
+    if (["ArrowDown", "ArrowUp", "PageDown", "PageUp"].includes(event.key)) return true
+    return ["Home", "End"].includes(event.key) && this.isOpen && this.selectedIndex >= 0
+  }
+
+  get caretAtStart() {
+    const { selectionStart, selectionEnd } = this.searchTarget
+    return selectionStart === 0 && selectionEnd === 0
+  }
+
   hasExactOptionMatch(query) {
-    return this.filteredOptions.some((opt) => {
+    return [...this.filteredOptions, ...this.selectedOptions].some((opt) => {
       const value = String(opt.value || "").toLowerCase().trim()
       const label = String(opt.label || "").toLowerCase().trim()
       return value === query || label === query
@@ -162,63 +548,52 @@ export default class extends Controller {
     }
   }
 
-  optionFromElement(element) {
-    const isNew = element.dataset.isNew === "true"
-    return {
-      value: element.dataset.value,
-      label: isNew
-        ? element.dataset.createLabel || element.dataset.label
-        : element.dataset.label,
-      isNew,
+  async applyOption(option, { keepOpen = true } = {}) {
+    if (!option) return
+    if (this.multipleValue && this.selectionFull) return
+
+    if (!option.isNew) {
+      this.selectValue(option.value, option.label || "", { keepOpen })
+      return
     }
-  }
 
-  async applyOption(option) {
-    if (!option) return
+    const label = option.createLabel || ""
 
-    let value = option.value
-    let label = option.label || ""
+    if (!this.createUrlValue) {
+      this.showInlineError("Create URL is not configured for this field.")
+      return
+    }
 
-    if (option.isNew) {
-      if (!this.createUrlValue) {
-        this.showInlineError("Create URL is not configured for this field.")
-        return
-      }
+    if (this.createFieldsValue.length) {
+      this.openCreateForm(label, { keepOpen })
+      return
+    }
 
-      const created = await this.createOption(label)
-      if (!created) return
+    const created = await this.createOption(label)
+    if (!created) return
 
-      value = created.id
-      label = created.name || created.title || label
+    this.selectValue(created.id, created.name || created.title || label, { keepOpen })
+  }
+
+  selectValue(value, label, { keepOpen = true } = {}) {
+    if (this.multipleValue) {
+      this.addSelection(value, label, { keepOpen })
+      return
     }
 
     this.inputTarget.value = value
     this.searchTarget.value = label
     this.close()
+    this.dispatchSelection()
   }
 
   async createOption(label) {
-    const csrfToken = document.querySelector('meta[name="csrf-token"]')?.content
     this.searchTarget.disabled = true
 
     try {
-      const response = await fetch(this.createUrlValue, {
-        method: "POST",
-        headers: {
-          "Content-Type": "application/json",
-          Accept: "application/json",
-          ...(csrfToken ? { "X-CSRF-Token": csrfToken } : {}),
-        },
-        body: JSON.stringify({
-          name: label,
-          title: label,
-        }),
-      })
-
-      const data = await response.json().catch(() => ({}))
-      if (!response.ok) {
-        const errors = Array.isArray(data?.errors) ? data.errors.join(", ") : null
-        this.showInlineError(errors || "Could not create this option.")
+      const { ok, data } = await this.postCreate({ name: label, title: label })
+      if (!ok) {
+        this.showInlineError(fullMessages(data?.errors).join(", ") || "Could not create this option.")
         return null
       }
 
@@ -237,18 +612,433 @@ export default class extends Controller {
     }
   }
 
+  // POSTs `attributes` as JSON (nested under `createParam` when set).
+  async postCreate(attributes) {
+    const csrfToken = document.querySelector('meta[name="csrf-token"]')?.content
+    const payload = this.createParamValue ? { [this.createParamValue]: attributes } : attributes
+
+    const response = await fetch(this.createUrlValue, {
+      method: "POST",
+      headers: {
+        "Content-Type": "application/json",
+        Accept: "application/json",
+        ...(csrfToken ? { "X-CSRF-Token": csrfToken } : {}),
+      },
+      body: JSON.stringify(payload),
+    })
+
+    const data = await response.json().catch(() => ({}))
+    return { ok: response.ok, data }
+  }
+
+  // ---- create form ----
+
+  // Inline form for the `createFields`, the first one prefilled with the
+  // query. Its inputs have no `name`, so the surrounding form never submits
+  // them.
+  openCreateForm(query, { keepOpen = true } = {}) {
+    this.closeCreateForm()
+    this.close()
+
+    const panel = document.createElement("div")
+    panel.className =
+      "absolute z-40 w-full mt-1 p-3 space-y-3 bg-white dark:bg-slate-800 border border-slate-200 dark:border-slate-700 rounded-lg shadow-lg"
+    panel.setAttribute("role", "group")
+    panel.setAttribute("aria-label", `Create "${query}"`)
+    panel.addEventListener("keydown", (event) => this.createFormKeydown(event))
+
+    const title = document.createElement("p")
+    title.className = "text-sm font-medium text-slate-700 dark:text-slate-200"
+    title.textContent = `Create "${query}"`
+
+    const baseError = document.createElement("p")
+    baseError.className = "hidden text-sm text-red-600"
+    baseError.setAttribute("role", "alert")
+
+    const fields = new Map()
+    this.createFieldsValue.forEach((spec, index) => {
+      fields.set(spec.name, this.buildCreateField(spec, index === 0 ? query : ""))
+    })
+
+    const submit = this.createFormButton("Create", () => this.submitCreateForm(), true)
+    const actions = document.createElement("div")
+    actions.className = "flex justify-end gap-2"
+    actions.append(this.createFormButton("Cancel", () => this.cancelCreateForm()), submit)
+
+    panel.append(title, baseError, ...[...fields.values()].map((field) => field.element), actions)
+    this.dropdownTarget.after(panel)
+    this.createForm = { panel, fields, baseError, submit, keepOpen }
+
+    const first = fields.values().next().value?.input
+    first?.focus()
+    first?.select?.()
+  }
+
+  buildCreateField(spec, value) {
+    const id = `${this.dropdownTarget.id}-create-${spec.name}`
+    const element = document.createElement("div")
+
+    const label = document.createElement("label")
+    label.className = "block mb-1 text-xs font-medium text-slate-600 dark:text-slate-300"
+    label.htmlFor = id
+    label.textContent = spec.required ? `${spec.label} *` : spec.label
+
+    let input
+    if (spec.type === "select") {
+      input = document.createElement("select")
+      input.append(new Option("", ""))
+      const options = spec.options || []
+      options.forEach((option) => input.append(new Option(option.label, option.value)))
+    } else if (spec.type === "textarea") {
+      input = document.createElement("textarea")
+      input.rows = 3
+    } else {
+      input = document.createElement("input")
+      input.type = CREATE_INPUT_TYPES.includes(spec.type) ? spec.type : "text"
+    }
+
+    input.id = id
+    input.className = "form-input w-full text-sm"
+    input.required = Boolean(spec.required)
+    if (spec.placeholder) input.placeholder = spec.placeholder
+    input.value = value
+
+    const error = document.createElement("p")
+    error.id = `${id}-error`
+    error.className = "hidden mt-1 text-xs text-red-600"
+    input.setAttribute("aria-describedby", error.id)
+
+    element.append(label, input, error)
+    return { element, input, error }
+  }
+
+  createFormButton(label, handler, primary = false) {
+    const button = document.createElement("button")
+    button.type = "button"
+    button.className = primary
+      ? "px-3 py-1.5 text-xs font-medium text-white bg-indigo-600 hover:bg-indigo-700 rounded transition-colors disabled:opacity-50"
+      : "px-3 py-1.5 text-xs font-medium text-slate-700 bg-slate-100 hover:bg-slate-200 rounded transition-colors"
+    button.textContent = label
+    button.addEventListener("click", (event) => {
+      // The panel may be gone before the click reaches clickOutside.
+      event.stopPropagation()
+      handler()
+    })
+    return button
+  }
+
+  createFormKeydown(event) {
+    if (event.key === "Escape") {
+      event.preventDefault()
+      event.stopPropagation()
+      this.cancelCreateForm()
+    } else if (event.key === "Enter" && event.target.tagName === "INPUT") {
+      // Enter must not submit the surrounding record form.
+      event.preventDefault()
+      this.submitCreateForm()
+    }
+  }
+
+  async submitCreateForm() {
+    const form = this.createForm
+    if (!form || form.submit.disabled) return
+
+    const attributes = {}
+    const missing = {}
+    form.fields.forEach(({ input }, name) => {
+      attributes[name] = input.value.trim()
+      if (input.required && !attributes[name]) missing[name] = ["can't be blank"]
+    })
+
+    this.showCreateErrors(missing)
+    if (Object.keys(missing).length) return
+
+    form.submit.disabled = true
+    form.submit.textContent = "Creating…"
+
+    try {
+      const { ok, data } = await this.postCreate(attributes)
+      if (this.createForm !== form) return
+
+      if (!ok) {
+        this.showCreateErrors(data?.errors || { base: ["Could not create this option."] })
+      } else if (!data?.id) {
+        this.showCreateErrors({ base: ["Create endpoint returned no id."] })
+      } else {
+        const label = data.name || data.title || data.label || Object.values(attributes)[0]
+        this.closeCreateForm()
+        this.selectValue(data.id, label, { keepOpen: form.keepOpen })
+      }
+    } catch (error) {
+      console.error("Create failed:", error)
+      if (this.createForm === form) this.showCreateErrors({ base: ["Could not create this option."] })
+    } finally {
+      form.submit.disabled = false
+      form.submit.textContent = "Create"
+    }
+  }
+
+  // Errors are `{ field: ["message"] }` (shown under each field; unknown
+  // fields and `base` above the form) or an array of full messages.
+  showCreateErrors(errors) {
+    const { fields, baseError } = this.createForm
+    const base = []
+    let firstInvalid = null
+
+    fields.forEach(({ input, error }) => {
+      error.textContent = ""
+      error.classList.add("hidden")
+      input.removeAttribute("aria-invalid")
+    })
+
+    if (Array.isArray(errors)) {
+      base.push(...errors)
+    } else if (errors && typeof errors === "object") {
+      Object.entries(errors).forEach(([name, messages]) => {
+        const field = fields.get(name)
+        if (!field) {
+          base.push(...fullMessages({ [name]: messages }))
+          return
+        }
+
+        field.error.textContent = [].concat(messages).join(", ")
+        field.error.classList.remove("hidden")
+        field.input.setAttribute("aria-invalid", "true")
+        if (!firstInvalid) firstInvalid = field.input
+      })
+    }
+
+    baseError.textContent = base.join(", ")
+    baseError.classList.toggle("hidden", !base.length)
+    firstInvalid?.focus()
+  }
+
+  cancelCreateForm() {
+    this.closeCreateForm()
+    this.searchTarget.focus()
+  }
+
+  closeCreateForm() {
+    this.createForm?.panel.remove()
+    this.createForm = null
+  }
+
+  // ---- multiple mode ----
+
+  get selectedOptions() {
+    return this.chipTargets.map((chip) => ({ value: chip.dataset.value, label: chip.dataset.label }))
+  }
+
+  get selectionFull() {
+    return this.multipleValue && this.maxSelectionsValue > 0 && this.chipTargets.length >= this.maxSelectionsValue
+  }
+
+  unselected(options) {
+    if (!this.multipleValue) return [...options]
+
+    const selected = new Set(this.chipTargets.map((chip) => chip.dataset.value))
+    return options.filter((option) => !selected.has(String(option.value)))
+  }
+
+  addSelection(value, label, { keepOpen = true } = {}) {
+    if (!this.selectedOptions.some((option) => option.value === String(value))) {
+      this.searchTarget.before(this.buildChip(value, label))
+      this.dispatchSelection()
+      this.liveRegion.announce(`${label} added.`, { immediate: true })
+    }
+
+    this.searchTarget.value = ""
+    if (!keepOpen) return
+
+    this.searchTarget.focus()
+    this.refreshResults()
+  }
+
+  removeSelection(chip, { focus = null } = {}) {
+    chip.remove()
+    this.liveRegion.announce(`${chip.dataset.label} removed.`, { immediate: true })
+    this.dispatchSelection()
+    const target = focus || this.searchTarget
+    target.focus()
+    if (this.isOpen) this.refreshResults()
+  }
+
+  removeChip(event) {
+    // Keep the click from reaching clickOutside once the chip is detached.
+    event.stopPropagation()
+    this.removeSelection(event.currentTarget.closest("[data-value]"))
+  }
+
+  chipKeydown(event) {
+    const chips = this.chipTargets
+    const index = chips.indexOf(event.currentTarget)
+
+    switch (event.key) {
+      case "Backspace":
+      case "Delete":
+        event.preventDefault()
+        this.removeSelection(event.currentTarget, {
+          focus: chips[event.key === "Backspace" ? index - 1 : index + 1],
+        })
+        break
+      case "ArrowLeft":
+        event.preventDefault()
+        chips[Math.max(index - 1, 0)].focus()
+        break
+      case "ArrowRight":
+        event.preventDefault()
+        if (chips[index + 1]) {
+          chips[index + 1].focus()
+        } else {
+          this.searchTarget.focus()
+        }
+        break
+    }
+  }
+
+  // Re-runs the current search so chosen options drop out of (or return to)
+  // the results.
+  refreshResults() {
+    this.selectedIndex = -1
+    this.search()
+  }
+
+  buildChip(value, label) {
+    const chip = document.createElement("span")
+    chip.className = CHIP_CLASS
+    chip.tabIndex = -1
+    chip.dataset.value = value
+    chip.dataset.label = label
+    chip.dataset.action = "keydown->admin-suite--searchable-select#chipKeydown"
+    chip.setAttribute("data-admin-suite--searchable-select-target", "chip")
+
+    const text = document.createElement("span")
+    text.textContent = label
+
+    const input = document.createElement("input")
+    input.type = "hidden"
+    input.name = this.fieldNameValue
+    input.value = value
+
+    const button = document.createElement("button")
+    button.type = "button"
+    button.tabIndex = -1
+    button.className = "text-indigo-500 hover:text-indigo-700 font-bold"
+    button.textContent = "×"
+    button.setAttribute("aria-label", `Remove ${label}`)
+    button.dataset.action = "click->admin-suite--searchable-select#removeChip"
+
+    chip.append(text, input, button)
+    return chip
+  }
+
+  dispatchSelection() {
+    const values = this.multipleValue ? this.selectedOptions.map((option) => option.value) : [this.inputTarget.value]
+    this.dispatch("change", { detail: { values } })
+  }
+
   showInlineError(message) {
-    this.dropdownTarget.innerHTML = `
-      <div class="px-3 py-2 text-sm text-red-600">${this.escapeHtml(message)}</div>
-    `
+    this.list = null
+    this.showMessage(message, "text-red-600")
     this.dropdownTarget.classList.remove("hidden")
     this.isOpen = true
+    setExpanded(this.searchTarget, true)
+  }
+}
+
+// Accepts `{ value | id, label | name | title, group, description, avatar }`.
+function normalizeOption(option) {
+  return {
+    ...option,
+    value: option.value ?? option.id,
+    label: String(option.label ?? option.name ?? option.title ?? option.value ?? option.id ?? ""),
+    avatar: option.avatar ?? option.avatar_url,
+  }
+}
+
+// `{ name: ["can't be blank"] }` -> ["Name can't be blank"]; arrays pass through.
+function fullMessages(errors) {
+  if (Array.isArray(errors)) return errors.map(String)
+  if (!errors || typeof errors !== "object") return []
+
+  return Object.entries(errors).flatMap(([name, messages]) =>
+    [].concat(messages).map((message) => {
+      if (name === "base") return String(message)
+      const attribute = name.replace(/_/g, " ")
+      return `${attribute.charAt(0).toUpperCase()}${attribute.slice(1)} ${message}`
+    }),
+  )
+}
+
+// Search endpoints return an array, or `{ results, next_page }` (`has_more`
+// is accepted instead of `next_page`).
+function parseResults(data, page) {
+  if (Array.isArray(data)) return { results: data, nextPage: null }
+
+  const results = Array.isArray(data?.results) ? data.results : []
+  const nextPage = data?.next_page ?? (data?.has_more ? page + 1 : null)
+  return { results, nextPage }
+}
+
+// Stable reorder so each group's options are contiguous, groups in order of
+// first appearance.
+function groupOptions(options) {
+  const order = new Map()
+  options.forEach((option) => {
+    if (!order.has(option.group)) order.set(option.group, order.size)
+  })
+
+  return options
+    .map((option, index) => ({ option, index }))
+    .sort((a, b) => order.get(a.option.group) - order.get(b.option.group) || a.index - b.index)
+    .map(({ option }) => option)
+}
+
+// Index of the last row starting at or above `offset`.
+function rowIndexAt(rows, offset) {
+  let low = 0
+  let high = rows.length - 1
+
+  while (low < high) {
+    const middle = Math.ceil((low + high) / 2)
+    if (rows[middle].top <= offset) {
+      low = middle
+    } else {
+      high = middle - 1
+    }
   }
 
-  escapeHtml(value) {
-    const div = document.createElement("div")
-    div.textContent = value
-    return div.innerHTML
+  return low
+}
+
+// `text` as a fragment with case-insensitive matches of `query` in <mark>s.
+function highlight(text, query) {
+  const fragment = document.createDocumentFragment()
+  const value = String(text ?? "")
+  const needle = String(query || "").toLowerCase()
+
+  if (!needle) {
+    fragment.append(value)
+    return fragment
+  }
+
+  const haystack = value.toLowerCase()
+  let position = 0
+  let match = haystack.indexOf(needle)
+
+  while (match !== -1) {
+    if (match > position) fragment.append(value.slice(position, match))
+
+    const mark = document.createElement("mark")
+    mark.className = "bg-amber-100 text-inherit rounded-sm"
+    mark.textContent = value.slice(match, match + needle.length)
+    fragment.append(mark)
+
+    position = match + needle.length
+    match = haystack.indexOf(needle, position)
   }
+
+  fragment.append(value.slice(position))
+  return fragment
 }
 
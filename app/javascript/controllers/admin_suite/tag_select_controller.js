@@ -1,20 +1,90 @@
 import { Controller } from "@hotwired/stimulus"
+import {
+  countMessage,
+  createLiveRegion,
+  navigationIndex,
+  setActiveDescendant,
+  setExpanded,
+  setupCombobox,
+  uniqueId,
+} from "controllers/admin_suite/combobox"
+
+// Suggestions per PageUp/PageDown step (about one dropdown's height).
+const PAGE_SIZE = 5
+
+const TAG_CLASS =
+  "inline-flex items-center gap-1 px-2 py-1 bg-indigo-100 text-indigo-700 rounded text-sm cursor-move focus:outline-none focus:ring-2 focus:ring-indigo-500"
+
+// Kept in sync with the server-rendered chips (render_multi_select).
+const TAG_ACTIONS = [
+  "keydown->admin-suite--tag-select#tagKeydown",
+  "dblclick->admin-suite--tag-select#edit",
+  "dragstart->admin-suite--tag-select#dragStart",
+  "dragover->admin-suite--tag-select#dragOver",
+  "drop->admin-suite--tag-select#drop",
+  "dragend->admin-suite--tag-select#dragEnd",
+].join(" ")
+
+// Separators of pasted lists (spreadsheet cells, lines, commas).
+const PASTE_SEPARATOR = /[,\t\r\n]+/
 
 /**
  * Tag Select Controller (Admin Suite)
  *
  * Provides a tag/multi-select input with inline tag creation.
+ *
+ * The input is a WAI-ARIA combobox over the suggestion listbox, with the
+ * number of matching suggestions announced through a live region.
+ * ArrowUp/ArrowDown and PageUp/PageDown move the highlight (Home/End too once a
+ * suggestion is highlighted) and Enter accepts the highlighted suggestion.
+ * Typing highlights the first suggestion starting with the input as a hint:
+ * Tab accepts it, while Enter still adds the typed text unless the highlight
+ * was moved with the keys (or new tags can't be created).
+ *
+ * With a `suggestionsUrl`, suggestions come from `GET <url>?q=<input>`
+ * (debounced, stale requests aborted, cached per query) instead of the
+ * server-rendered buttons; the endpoint returns strings or `{ value, label }`
+ * objects, as an array or under `results`. A failed request shows an error row
+ * with a retry button.
+ *
+ * Tags are trimmed and optionally case-normalized (`normalizeCase`: "lower" or
+ * "upper"), then checked against `maxTags`, `maxLength` and `pattern` (a
+ * regular expression source the whole tag must match); rejected tags stay in
+ * the input with the reason shown below it.
+ *
+ * Pasting comma-, tab- or newline-separated text adds every entry at once
+ * (duplicates dropped); without `creatable`, only entries matching a
+ * suggestion are added. Chips can be dragged into a new order, or moved with
+ * Alt+ArrowLeft/Alt+ArrowRight once focused (ArrowLeft from the start of the
+ * input focuses the last chip); the hidden inputs live inside the chips, so
+ * they are submitted in that order. Double-click (or Enter/F2 on a focused
+ * chip) edits a tag in place; Backspace/Delete remove the focused chip.
  */
 export default class extends Controller {
-  static targets = ["tags", "input", "dropdown", "placeholder"]
+  static targets = ["tags", "input", "dropdown", "placeholder", "feedback", "tag"]
   static values = {
     creatable: { type: Boolean, default: true },
     suggestions: { type: Array, default: [] },
     fieldName: { type: String, default: "" },
+    suggestionsUrl: { type: String, default: "" },
+    searchDelay: { type: Number, default: 250 },
+    maxTags: { type: Number, default: 0 },
+    maxLength: { type: Number, default: 0 },
+    pattern: { type: String, default: "" },
+    normalizeCase: { type: String, default: "" },
   }
 
   connect() {
     this.selectedTags = this.getExistingTags()
+    this.highlightedIndex = -1
+    this.hinted = false
+    this.cache = new Map()
+    this.liveRegion = createLiveRegion(this.element)
+
+    if (this.hasDropdownTarget) {
+      setupCombobox(this.inputTarget, this.dropdownTarget, "admin-suite-tags")
+      this.optionElements.forEach((option) => this.decorateOption(option))
+    }
 
     this.clickOutside = this.clickOutside.bind(this)
     document.addEventListener("click", this.clickOutside)
@@ -22,16 +92,47 @@ export default class extends Controller {
 
   disconnect() {
     document.removeEventListener("click", this.clickOutside)
+    clearTimeout(this.searchTimer)
+    this.request?.abort()
+    this.liveRegion.disconnect()
+  }
+
+  patternValueChanged() {
+    this.patternRegex = null
+    if (!this.patternValue) return
+
+    try {
+      this.patternRegex = new RegExp(`^(?:${this.patternValue})$`)
+    } catch (error) {
+      console.warn("Invalid tag pattern:", error)
+    }
+  }
+
+  decorateOption(option) {
+    option.id = uniqueId(`${this.dropdownTarget.id}-option`)
+    option.tabIndex = -1
+    option.setAttribute("role", "option")
+    option.setAttribute("aria-selected", "false")
+  }
+
+  get optionElements() {
+    return this.hasDropdownTarget ? [...this.dropdownTarget.querySelectorAll("button[data-value]")] : []
+  }
+
+  get visibleOptions() {
+    return this.optionElements.filter((option) => !option.classList.contains("hidden"))
+  }
+
+  get isOpen() {
+    return this.hasDropdownTarget && !this.dropdownTarget.classList.contains("hidden")
   }
 
   getExistingTags() {
     const tags = []
-    this.tagsTarget
-      .querySelectorAll("span[class*='bg-indigo']")
-      .forEach((el) => {
-        const hidden = el.querySelector("input[type='hidden']")
-        if (hidden) tags.push(hidden.value)
-      })
+    this.tagTargets.forEach((el) => {
+      const hidden = el.querySelector("input[type='hidden']")
+      if (hidden) tags.push(hidden.value)
+    })
     return tags
   }
 
@@ -43,50 +144,215 @@ export default class extends Controller {
 
   search() {
     const query = this.inputTarget.value.toLowerCase().trim()
+    this.hideFeedback()
 
     if (!query) {
+      clearTimeout(this.searchTimer)
+      this.request?.abort()
       this.closeDropdown()
       return
     }
 
-    if (this.hasDropdownTarget) {
-      const buttons = this.dropdownTarget.querySelectorAll("button")
-      let hasVisible = false
-
-      buttons.forEach((btn) => {
-        const value = btn.dataset.value.toLowerCase()
-        if (
-          value.includes(query) &&
-          !this.selectedTags.includes(btn.dataset.value)
-        ) {
-          btn.classList.remove("hidden")
-          hasVisible = true
-        } else {
-          btn.classList.add("hidden")
-        }
-      })
+    this.showSuggestions(query)
+  }
+
+  showSuggestions(query, { immediate = false } = {}) {
+    if (!this.suggestionsUrlValue) {
+      this.openDropdown(query)
+      return
+    }
+
+    clearTimeout(this.searchTimer)
+
+    const cached = this.cache.get(query)
+    if (cached) {
+      this.request?.abort()
+      this.renderSuggestions(cached, query)
+      return
+    }
+
+    this.searchTimer = setTimeout(() => this.fetchSuggestions(query), immediate ? 0 : this.searchDelayValue)
+  }
+
+  async fetchSuggestions(query) {
+    this.request?.abort()
+    const request = new AbortController()
+    this.request = request
+
+    try {
+      const url = new URL(this.suggestionsUrlValue, window.location.href)
+      url.searchParams.set("q", query)
+
+      const response = await fetch(url, { headers: { Accept: "application/json" }, signal: request.signal })
+      if (!response.ok) throw new Error(`Suggestions failed (${response.status})`)
+
+      const suggestions = parseSuggestions(await response.json())
+      this.cache.set(query, suggestions)
+
+      if (this.request !== request) return
+      this.request = null
+      this.renderSuggestions(suggestions, query)
+    } catch (error) {
+      if (error.name === "AbortError" || this.request !== request) return
+
+      this.request = null
+      this.showError(query)
+    }
+  }
+
+  // Replaces the suggestions with an error row whose button fetches `query`
+  // again.
+  showError(query) {
+    const message = "Couldn't load suggestions."
+    const retry = document.createElement("button")
+    retry.type = "button"
+    retry.className = "ml-2 font-medium underline hover:text-red-700"
+    retry.textContent = "Retry"
+    retry.addEventListener("click", (event) => {
+      event.stopPropagation()
+      this.inputTarget.focus()
+      this.fetchSuggestions(query)
+    })
+
+    const row = document.createElement("div")
+    row.className = "px-3 py-2 text-sm text-red-600"
+    row.setAttribute("role", "presentation")
+    row.append(message, retry)
+
+    this.dropdownTarget.replaceChildren(row)
+    this.dropdownTarget.classList.remove("hidden")
+    setExpanded(this.inputTarget, true)
+    this.highlight(-1)
+    this.liveRegion.announce(message)
+  }
+
+  renderSuggestions(suggestions, query) {
+    this.dropdownTarget.replaceChildren(
+      ...suggestions.map(({ value, label }) => {
+        const button = document.createElement("button")
+        button.type = "button"
+        button.className = "block w-full text-left px-3 py-2 text-sm hover:bg-slate-100"
+        button.textContent = label
+        button.dataset.value = value
+        button.dataset.action = "admin-suite--tag-select#select"
+        this.decorateOption(button)
+        return button
+      }),
+    )
+
+    this.openDropdown(query)
+  }
 
-      if (hasVisible) {
-        this.dropdownTarget.classList.remove("hidden")
-      } else if (this.creatableValue) {
-        this.dropdownTarget.classList.remove("hidden")
+  // Shows the suggestions matching `query` (all unselected ones when blank;
+  // remote suggestions are already matched) and hints the first one starting
+  // with it, if any.
+  openDropdown(query = "") {
+    if (!this.hasDropdownTarget) return
+
+    let hasVisible = false
+
+    this.optionElements.forEach((btn) => {
+      const value = btn.dataset.value.toLowerCase()
+      if (
+        (this.suggestionsUrlValue || value.includes(query)) &&
+        !this.selectedTags.includes(btn.dataset.value)
+      ) {
+        btn.classList.remove("hidden")
+        hasVisible = true
       } else {
-        this.closeDropdown()
+        btn.classList.add("hidden")
       }
+    })
+
+    if (hasVisible) {
+      this.dropdownTarget.classList.remove("hidden")
+    } else if (this.creatableValue) {
+      this.dropdownTarget.classList.remove("hidden")
+    } else {
+      this.closeDropdown()
+      this.liveRegion.announce(countMessage(0, "suggestion"))
+      return
     }
+
+    setExpanded(this.inputTarget, true)
+    const visible = this.visibleOptions
+    this.highlight(prefixMatchIndex(visible, query), { hint: true })
+    this.liveRegion.announce(countMessage(visible.length, "suggestion"))
   }
 
   closeDropdown() {
     if (this.hasDropdownTarget) {
       this.dropdownTarget.classList.add("hidden")
+      this.highlight(-1)
+      setExpanded(this.inputTarget, false)
     }
   }
 
+  // Highlights the visible suggestion at `index` (-1 for none) and keeps it
+  // scrolled into view. A `hint` (from typing) is accepted by Tab but not by
+  // Enter.
+  highlight(index, { hint = false } = {}) {
+    const visible = this.visibleOptions
+    this.highlightedIndex = index
+    this.hinted = hint
+
+    this.optionElements.forEach((option) => {
+      const active = option === visible[index]
+      option.classList.toggle("bg-slate-100", active)
+      option.setAttribute("aria-selected", String(active))
+    })
+
+    const active = visible[index]
+    active?.scrollIntoView({ block: "nearest" })
+    setActiveDescendant(this.inputTarget, active)
+  }
+
+  get highlightedOption() {
+    return this.isOpen ? this.visibleOptions[this.highlightedIndex] : null
+  }
+
+  // Home/End keep moving the caret in the input until a suggestion is
+  // highlighted with the keys.
+  navigates(event) {
+    if (!this.hasDropdownTarget) return false
+    if (["ArrowDown", "ArrowUp", "PageDown", "PageUp"].includes(event.key)) return true
+    return ["Home", "End"].includes(event.key) && Boolean(this.highlightedOption) && !this.hinted
+  }
+
   keydown(event) {
     const value = this.inputTarget.value.trim()
 
+    if (this.navigates(event)) {
+      event.preventDefault()
+
+      if (!this.isOpen) {
+        if (this.suggestionsUrlValue) {
+          this.showSuggestions(value.toLowerCase(), { immediate: true })
+          return
+        }
+
+        this.openDropdown(value.toLowerCase())
+        if (event.altKey) return
+      }
+
+      const index = navigationIndex(event.key, this.highlightedIndex, this.visibleOptions.length, PAGE_SIZE)
+      if (index !== null) this.highlight(index)
+      return
+    }
+
     switch (event.key) {
+      case "Tab":
+        if (this.highlightedOption) this.addTag(this.highlightedOption.dataset.value)
+        this.closeDropdown()
+        break
       case "Enter":
+        event.preventDefault()
+        if (this.highlightedOption && !(this.hinted && value && this.creatableValue)) {
+          if (this.addTag(this.highlightedOption.dataset.value)) this.closeDropdown()
+        } else if (value && this.creatableValue) {
+          this.addTag(value)
+        }
+        break
       case ",":
         event.preventDefault()
         if (value && this.creatableValue) {
@@ -98,64 +364,386 @@ export default class extends Controller {
           this.removeLastTag()
         }
         break
+      case "ArrowLeft":
+        if (this.tagTargets.length && this.inputTarget.selectionStart === 0 && this.inputTarget.selectionEnd === 0) {
+          event.preventDefault()
+          this.tagTargets[this.tagTargets.length - 1].focus()
+        }
+        break
       case "Escape":
         this.closeDropdown()
         break
     }
   }
 
+  // Adds every entry of pasted comma/tab/newline-separated text. Entries that
+  // break a rule, or match no suggestion when tags can't be created, are put
+  // back into the input and listed in the feedback.
+  paste(event) {
+    const pasted = event.clipboardData?.getData("text") || ""
+    if (!PASTE_SEPARATOR.test(pasted)) return
+
+    event.preventDefault()
+
+    const input = this.inputTarget
+    const text = input.value.slice(0, input.selectionStart) + pasted + input.value.slice(input.selectionEnd)
+    const entries = [...new Set(text.split(PASTE_SEPARATOR).map((entry) => this.normalizeTag(entry)).filter(Boolean))]
+    const rejected = []
+    let added = 0
+
+    entries.forEach((entry) => {
+      const tag = this.creatableValue ? entry : this.suggestedTag(entry)
+      if (tag === null) {
+        rejected.push({ tag: entry, error: `"${entry}" isn't one of the suggestions.` })
+        return
+      }
+      if (this.selectedTags.includes(tag)) return
+
+      const error = this.tagError(tag)
+      if (error) {
+        rejected.push({ tag, error })
+      } else {
+        this.insertTag(tag)
+        added += 1
+      }
+    })
+
+    input.value = rejected.map(({ tag }) => tag).join(", ")
+    input.focus()
+    this.closeDropdown()
+
+    if (rejected.length) {
+      this.showFeedback(
+        `${added} ${added === 1 ? "tag" : "tags"} added. Not added: ${rejected.map(({ error }) => error).join(" ")}`,
+      )
+    } else {
+      this.hideFeedback()
+      this.liveRegion.announce(`${added} ${added === 1 ? "tag" : "tags"} added.`, { immediate: true })
+    }
+  }
+
+  // The suggestion equal to `entry` (case-insensitive) among the rendered and
+  // fetched ones, normalized like a typed tag; null when there is none.
+  suggestedTag(entry) {
+    const needle = entry.toLowerCase()
+    const values = [
+      ...this.optionElements.map((option) => option.dataset.value),
+      ...[...this.cache.values()].flat().map(({ value }) => value),
+    ]
+    const match = values.find((value) => this.normalizeTag(value).toLowerCase() === needle)
+    return match === undefined ? null : this.normalizeTag(match)
+  }
+
   select(event) {
     event.preventDefault()
     const value = event.currentTarget.dataset.value
-    this.addTag(value)
-    this.closeDropdown()
+    if (this.addTag(value)) this.closeDropdown()
   }
 
-  addTag(value) {
-    if (this.selectedTags.includes(value)) return
+  // Returns whether the tag was added; a rejected tag's reason is shown as
+  // feedback.
+  addTag(rawValue) {
+    const value = this.normalizeTag(rawValue)
+    if (!value) return false
+
+    const error = this.tagError(value)
+    if (error) {
+      this.showFeedback(error)
+      return false
+    }
 
+    this.hideFeedback()
+    this.insertTag(value)
+    this.inputTarget.value = ""
+    this.inputTarget.focus()
+    this.liveRegion.announce(`${value} added.`, { immediate: true })
+    return true
+  }
+
+  insertTag(value) {
     this.selectedTags.push(value)
 
     const tagEl = document.createElement("span")
-    tagEl.className =
-      "inline-flex items-center gap-1 px-2 py-1 bg-indigo-100 text-indigo-700 rounded text-sm"
-    tagEl.innerHTML = `
-      ${this.escapeHtml(value)}
-      <input type="hidden" name="${this.getFieldName()}" value="${this.escapeHtml(value)}">
-      <button type="button" class="text-indigo-500 hover:text-indigo-700 font-bold" data-action="admin-suite--tag-select#remove">×</button>
-    `
-
+    tagEl.className = TAG_CLASS
+    tagEl.tabIndex = -1
+    tagEl.draggable = true
+    tagEl.dataset.action = TAG_ACTIONS
+    tagEl.setAttribute("data-admin-suite--tag-select-target", "tag")
+
+    const label = document.createElement("span")
+    label.textContent = value
+
+    const hidden = document.createElement("input")
+    hidden.type = "hidden"
+    hidden.name = this.getFieldName()
+    hidden.value = value
+
+    const button = document.createElement("button")
+    button.type = "button"
+    button.tabIndex = -1
+    button.className = "text-indigo-500 hover:text-indigo-700 font-bold"
+    button.textContent = "×"
+    button.setAttribute("aria-label", `Remove ${value}`)
+    button.dataset.action = "admin-suite--tag-select#remove"
+
+    tagEl.append(label, hidden, button)
     this.inputTarget.parentNode.insertBefore(tagEl, this.inputTarget)
-    this.inputTarget.value = ""
-    this.inputTarget.focus()
+  }
+
+  normalizeTag(value) {
+    const tag = String(value ?? "").trim().replace(/\s+/g, " ")
+
+    switch (this.normalizeCaseValue) {
+      case "lower":
+        return tag.toLowerCase()
+      case "upper":
+        return tag.toUpperCase()
+      default:
+        return tag
+    }
+  }
+
+  // `except` is the tag being edited: it doesn't count as a duplicate or
+  // towards the maximum.
+  tagError(tag, { except = null } = {}) {
+    if (tag !== except && this.selectedTags.includes(tag)) {
+      return `"${tag}" is already added.`
+    }
+    if (except === null && this.maxTagsValue && this.selectedTags.length >= this.maxTagsValue) {
+      return `You can add up to ${this.maxTagsValue} tags.`
+    }
+    if (this.maxLengthValue && tag.length > this.maxLengthValue) {
+      return `Tags can be at most ${this.maxLengthValue} characters.`
+    }
+    if (this.patternRegex && !this.patternRegex.test(tag)) {
+      return `"${tag}" contains characters that aren't allowed.`
+    }
+    return null
+  }
+
+  showFeedback(message) {
+    this.liveRegion.announce(message, { immediate: true })
+    if (!this.hasFeedbackTarget) return
+
+    this.feedbackTarget.textContent = message
+    this.feedbackTarget.classList.remove("hidden")
+  }
+
+  hideFeedback() {
+    if (!this.hasFeedbackTarget) return
+
+    this.feedbackTarget.textContent = ""
+    this.feedbackTarget.classList.add("hidden")
   }
 
   remove(event) {
     event.preventDefault()
-    const tagEl = event.currentTarget.closest("span")
+    this.removeTag(event.currentTarget.closest("[data-admin-suite--tag-select-target='tag']"))
+  }
+
+  removeTag(tagEl) {
     const hidden = tagEl.querySelector("input[type='hidden']")
 
     if (hidden) {
       const index = this.selectedTags.indexOf(hidden.value)
       if (index > -1) this.selectedTags.splice(index, 1)
+      this.liveRegion.announce(`${hidden.value} removed.`, { immediate: true })
     }
 
     tagEl.remove()
   }
 
-  removeLastTag() {
-    const tags = this.tagsTarget.querySelectorAll("span[class*='bg-indigo']")
-    if (tags.length > 0) {
-      const lastTag = tags[tags.length - 1]
-      const hidden = lastTag.querySelector("input[type='hidden']")
-
-      if (hidden) {
-        const index = this.selectedTags.indexOf(hidden.value)
-        if (index > -1) this.selectedTags.splice(index, 1)
+  // ---- chip keyboard, reorder and edit ----
+
+  tagKeydown(event) {
+    // Keys typed into the inline editor are handled by editKeydown.
+    if (event.target !== event.currentTarget) return
+
+    const tagEl = event.currentTarget
+    const tags = this.tagTargets
+    const index = tags.indexOf(tagEl)
+
+    switch (event.key) {
+      case "ArrowLeft":
+      case "ArrowRight": {
+        event.preventDefault()
+        const step = event.key === "ArrowLeft" ? -1 : 1
+
+        if (event.altKey) {
+          this.moveTag(tagEl, index + step)
+        } else if (tags[index + step]) {
+          tags[index + step].focus()
+        } else if (step > 0) {
+          this.inputTarget.focus()
+        }
+        break
+      }
+      case "Backspace":
+      case "Delete": {
+        event.preventDefault()
+        const next = tags[event.key === "Backspace" ? index - 1 : index + 1]
+        this.removeTag(tagEl)
+        if (next) {
+          next.focus()
+        } else {
+          this.inputTarget.focus()
+        }
+        break
       }
+      case "Enter":
+      case "F2":
+        event.preventDefault()
+        this.startEdit(tagEl)
+        break
+    }
+  }
+
+  // Moves `tagEl` to position `index` among the chips.
+  moveTag(tagEl, index) {
+    const tags = this.tagTargets
+    if (index < 0 || index >= tags.length) return
 
-      lastTag.remove()
+    const target = tags[index]
+    if (index < tags.indexOf(tagEl)) {
+      target.before(tagEl)
+    } else {
+      target.after(tagEl)
     }
+
+    tagEl.focus()
+    this.syncOrder()
+    this.liveRegion.announce(`${this.tagValue(tagEl)} moved to position ${index + 1} of ${tags.length}.`, {
+      immediate: true,
+    })
+  }
+
+  dragStart(event) {
+    this.draggedTag = event.currentTarget
+    event.dataTransfer.effectAllowed = "move"
+    event.dataTransfer.setData("text/plain", this.tagValue(this.draggedTag))
+    this.draggedTag.classList.add("opacity-50")
+  }
+
+  dragOver(event) {
+    const target = event.currentTarget
+    if (!this.draggedTag || target === this.draggedTag) return
+
+    event.preventDefault()
+    const { left, width } = target.getBoundingClientRect()
+    if (event.clientX > left + width / 2) {
+      target.after(this.draggedTag)
+    } else {
+      target.before(this.draggedTag)
+    }
+  }
+
+  drop(event) {
+    if (this.draggedTag) event.preventDefault()
+  }
+
+  dragEnd() {
+    if (!this.draggedTag) return
+
+    this.draggedTag.classList.remove("opacity-50")
+    this.draggedTag = null
+    this.syncOrder()
+  }
+
+  // The hidden inputs move with their chips; only the tag list needs
+  // re-reading.
+  syncOrder() {
+    this.selectedTags = this.getExistingTags()
+  }
+
+  tagValue(tagEl) {
+    return tagEl.querySelector("input[type='hidden']")?.value || ""
+  }
+
+  edit(event) {
+    if (event.target.closest("button")) return
+    this.startEdit(event.currentTarget)
+  }
+
+  startEdit(tagEl) {
+    if (this.editing?.tagEl === tagEl) return
+
+    const label = tagEl.firstElementChild
+    const value = this.tagValue(tagEl)
+
+    const editor = document.createElement("input")
+    editor.type = "text"
+    editor.value = value
+    editor.size = Math.max(value.length, 4)
+    editor.className = "bg-transparent border-0 p-0 text-sm focus:ring-0 focus:outline-none"
+    editor.setAttribute("aria-label", `Edit ${value}`)
+    editor.addEventListener("keydown", (event) => this.editKeydown(event, tagEl))
+    editor.addEventListener("blur", () => this.finishEdit(tagEl, { cancelOnError: true }))
+
+    tagEl.draggable = false
+    label.hidden = true
+    label.after(editor)
+    this.editing = { tagEl, editor }
+    editor.focus()
+    editor.select()
+  }
+
+  editKeydown(event, tagEl) {
+    if (event.key === "Enter") {
+      event.preventDefault()
+      if (this.finishEdit(tagEl)) tagEl.focus()
+    } else if (event.key === "Escape") {
+      event.preventDefault()
+      event.stopPropagation()
+      this.cancelEdit(tagEl)
+      tagEl.focus()
+    }
+  }
+
+  // Applies the edit; returns false (keeping the editor open) when the new
+  // value breaks a rule, unless `cancelOnError`. An emptied tag is left as is.
+  finishEdit(tagEl, { cancelOnError = false } = {}) {
+    if (this.editing?.tagEl !== tagEl) return true
+
+    const { editor } = this.editing
+    const previous = this.tagValue(tagEl)
+    const value = this.normalizeTag(editor.value)
+
+    if (!value || value === previous) {
+      this.cancelEdit(tagEl)
+      return true
+    }
+
+    const error = this.tagError(value, { except: previous })
+    if (error) {
+      this.showFeedback(error)
+      if (cancelOnError) this.cancelEdit(tagEl)
+      return false
+    }
+
+    this.hideFeedback()
+    tagEl.querySelector("input[type='hidden']").value = value
+    tagEl.firstElementChild.textContent = value
+    tagEl.querySelector("button")?.setAttribute("aria-label", `Remove ${value}`)
+    this.cancelEdit(tagEl)
+    this.syncOrder()
+    this.liveRegion.announce(`${previous} changed to ${value}.`, { immediate: true })
+    return true
+  }
+
+  cancelEdit(tagEl) {
+    if (this.editing?.tagEl !== tagEl) return
+
+    // Clear the state first so the editor's blur on removal is a no-op.
+    const { editor } = this.editing
+    this.editing = null
+    editor.remove()
+    tagEl.firstElementChild.hidden = false
+    tagEl.draggable = true
+  }
+
+  removeLastTag() {
+    const tags = this.tagTargets
+    if (tags.length > 0) this.removeTag(tags[tags.length - 1])
   }
 
   getFieldName() {
@@ -183,11 +771,32 @@ export default class extends Controller {
 
     return "tag_list"
   }
+}
 
-  escapeHtml(text) {
-    const div = document.createElement("div")
-    div.textContent = text
-    return div.innerHTML
-  }
+// Index of the first option whose label or value starts with `query`
+// (case-insensitive), or -1.
+function prefixMatchIndex(options, query) {
+  const needle = String(query || "").trim().toLowerCase()
+  if (!needle) return -1
+
+  return options.findIndex(
+    (option) =>
+      option.textContent.trim().toLowerCase().startsWith(needle) || option.dataset.value.toLowerCase().startsWith(needle),
+  )
 }
 
+// Strings or `{ value | name, label | title }` objects, as an array or under
+// `results`.
+function parseSuggestions(data) {
+  const results = Array.isArray(data) ? data : Array.isArray(data?.results) ? data.results : []
+
+  return results
+    .map((item) => {
+      if (item && typeof item === "object") {
+        const value = String(item.value ?? item.name ?? item.label ?? item.title ?? "")
+        return { value, label: String(item.label ?? item.name ?? item.title ?? value) }
+      }
+      return { value: String(item ?? ""), label: String(item ?? "") }
+    })
+    .filter(({ value }) => value)
+}
@@ -1 +1,5 @@
 pin_all_from File.expand_path("../app/javascript/controllers", __dir__), under: "controllers"
+
+# Direct uploads (`direct_upload: true` file fields). The asset ships with Active Storage;
+# it is only imported on demand, so apps without Active Storage are unaffected.
+pin "@rails/activestorage", to: "activestorage.esm.js"
@@ -7,6 +7,12 @@ AdminSuite::Engine.routes.draw do
   get "docs(/)", to: "docs#index", as: :docs
   get "docs/*path", to: "docs#show", as: :doc, format: false
 
+  # Markdown editor server-side preview (same renderer as the docs viewer).
+  post "markdown_preview", to: "markdown_previews#create", as: :markdown_preview
+
+  # Command palette entries (fetched on first open).
+  get "command_palette", to: "command_palettes#show", as: :command_palette
+
   # Portal dashboards (e.g. /ops, /email). Accept optional trailing slash.
   get ":portal(/)", to: "portals#show", as: :portal
 
@@ -23,6 +29,7 @@ AdminSuite::Engine.routes.draw do
 
     post "/:id/execute_action/:action_name", to: "resources#execute_action", as: :execute_action
     post "/bulk_action/:action_name", to: "resources#bulk_action", as: :bulk_action
+    post "/collection_action/:action_name", to: "resources#collection_action", as: :collection_action
   end
 
   post ":portal/:resource_name/:id/toggle", to: "resources#toggle", as: :resource_toggle
@@ -36,9 +36,19 @@ module Admin
         action = find_bulk_action
         return failure_result("Action not found") unless action
 
-        results = records.map { |record| execute_action(action, record, params) }
-        success_count = results.count(&:success?)
-        failure_count = results.count(&:failure?)
+        # Relations are loaded in batches ("select all matching" can cover the
+        # whole table; batches go in primary key order) and only the counts
+        # are kept.
+        success_count = 0
+        failure_count = 0
+        each_record = records.respond_to?(:find_each) ? records.unscope(:order).find_each : records.each
+        each_record.each do |record|
+          if execute_action(action, record, params).success?
+            success_count += 1
+          else
+            failure_count += 1
+          end
+        end
 
         if failure_count.zero?
           success_result("Successfully processed #{success_count} records")
@@ -241,7 +241,7 @@ module Admin
       # Index view configuration
       class IndexConfig
         attr_reader :searchable_fields, :sortable_fields, :default_sort, :default_sort_direction,
-                    :columns_list, :filters_list, :stats_list, :per_page
+                    :columns_list, :filters_list, :stats_list, :presets_list, :per_page
 
         def initialize
           @searchable_fields = []
@@ -251,6 +251,7 @@ module Admin
           @columns_list = []
           @filters_list = []
           @stats_list = []
+          @presets_list = []
           @per_page = 25
         end
 
@@ -285,8 +286,20 @@ module Admin
           builder.instance_eval(&block) if block_given?
           @stats_list = builder.stats
         end
+
+        # A one-click view shown as a tab above the results: `params` are the
+        # filter/search/sort query params it applies.
+        def preset(name, label: nil, params: {})
+          @presets_list << PresetDefinition.new(
+            name: name,
+            label: label || name.to_s.humanize,
+            params: params.to_h.transform_keys(&:to_s)
+          )
+        end
       end
 
+      PresetDefinition = Struct.new(:name, :label, :params, keyword_init: true)
+
       class ColumnsBuilder
         attr_reader :columns
 
@@ -305,12 +318,13 @@ module Admin
             toggle_field: options[:toggle_field],
             label_color: options[:label_color],
             label_size: options[:label_size],
-            sortable: options[:sortable] || false
+            sortable: options[:sortable] || false,
+            editable: options[:editable] || false
           )
         end
       end
 
-      ColumnDefinition = Struct.new(:name, :content, :render, :header, :css_class, :type, :toggle_field, :label_color, :label_size, :sortable, keyword_init: true)
+      ColumnDefinition = Struct.new(:name, :content, :render, :header, :css_class, :type, :toggle_field, :label_color, :label_size, :sortable, :editable, keyword_init: true)
 
       class FiltersBuilder
         attr_reader :filters
@@ -370,6 +384,8 @@ module Admin
             placeholder: options[:placeholder],
             collection: options[:collection],
             create_url: options[:create_url],
+            create_fields: options[:create_fields],
+            create_param: options[:create_param],
             accept: options[:accept],
             rows: options[:rows],
             readonly: options[:readonly] || false,
@@ -380,7 +396,26 @@ module Admin
             preview: options[:preview] != false,
             variants: options[:variants],
             label_color: options[:label_color],
-            label_size: options[:label_size]
+            label_size: options[:label_size],
+            language: options[:language],
+            schema: options[:schema],
+            upload_url: options[:upload_url],
+            max_size: options[:max_size],
+            max_files: options[:max_files],
+            max_selections: options[:max_selections],
+            max_length: options[:max_length],
+            pattern: options[:pattern],
+            normalize_case: options[:normalize_case],
+            direct_upload: options[:direct_upload] || false,
+            image_editor: options[:image_editor] || false,
+            aspect_ratio: options[:aspect_ratio],
+            max_dimension: options[:max_dimension],
+            quality: options[:quality],
+            verify_content: options[:verify_content] || false,
+            toolbar: options[:toolbar],
+            height: options[:height],
+            status_bar: options[:status_bar],
+            server_preview: options[:server_preview] || false
           )
         end
 
@@ -404,9 +439,11 @@ module Admin
 
       FieldDefinition = Struct.new(
         :name, :type, :required, :label, :help, :placeholder,
-        :collection, :create_url, :accept, :rows, :readonly,
+        :collection, :create_url, :create_fields, :create_param, :accept, :rows, :readonly,
         :if_condition, :unless_condition, :multiple, :creatable,
-        :preview, :variants, :label_color, :label_size,
+        :preview, :variants, :label_color, :label_size, :language, :schema,
+        :upload_url, :max_size, :max_files, :max_selections, :max_length, :pattern, :normalize_case, :direct_upload,
+        :image_editor, :aspect_ratio, :max_dimension, :quality, :verify_content, :toolbar, :height, :status_bar, :server_preview,
         keyword_init: true
       )
 
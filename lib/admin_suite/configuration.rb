@@ -22,6 +22,8 @@ module AdminSuite
       :theme,
       :host_stylesheet,
       :tailwind_cdn,
+      :markdown_upload_url,
+      :saved_views_url,
       :root_dashboard_title,
       :root_dashboard_description,
       :root_dashboard_definition,
@@ -49,6 +51,8 @@ module AdminSuite
       @theme = { primary: :indigo, secondary: :purple }
       @host_stylesheet = nil
       @tailwind_cdn = true
+      @markdown_upload_url = nil
+      @saved_views_url = nil
       @root_dashboard_title = nil
       @root_dashboard_description = nil
       @root_dashboard_definition = nil
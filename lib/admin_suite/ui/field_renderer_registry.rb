@@ -82,12 +82,12 @@ AdminSuite::UI::FieldRendererRegistry.register(:rich_text) do |_view, f, field,
   f.rich_text_area(field.name, class: "prose max-w-none")
 end
 
-AdminSuite::UI::FieldRendererRegistry.register(:markdown) do |_view, f, field, resource, field_class|
-  f.text_area(field.name, class: "#{field_class} font-mono", rows: field.rows || 12, data: { controller: "admin-suite--markdown-editor" }, placeholder: field.placeholder)
+AdminSuite::UI::FieldRendererRegistry.register(:markdown) do |view, f, field, resource, field_class|
+  view.render_markdown_editor(f, field, resource, field_class)
 end
 
-AdminSuite::UI::FieldRendererRegistry.register(:file) do |_view, f, field, resource, _field_class|
-  f.file_field(field.name, class: "form-input-file", accept: field.accept)
+AdminSuite::UI::FieldRendererRegistry.register(:file) do |view, f, field, resource, _field_class|
+  view.render_file_upload(f, field, resource)
 end
 
 AdminSuite::UI::FieldRendererRegistry.register(:datetime) do |_view, f, field, resource, field_class|
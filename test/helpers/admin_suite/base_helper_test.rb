@@ -0,0 +1,270 @@
+# frozen_string_literal: true
+
+require "test_helper"
+
+module AdminSuite
+  class BaseHelperTest < ActionView::TestCase
+    tests AdminSuite::BaseHelper
+
+    class Widget
+      include ActiveModel::Model
+
+      attr_accessor :id, :status, :snippet, :settings, :body, :tag_ids, :company_id
+
+      def persisted?
+        id.present?
+      end
+    end
+
+    attr_reader :resource_config
+
+    # Controller helper methods and engine routes the resource views rely on.
+    def current_portal = :ops
+    def resource_name = "widgets"
+
+    def resource_path(portal:, resource_name:, id:)
+      "/#{portal}/#{resource_name}/#{id}"
+    end
+
+    def markdown_preview_path = "/markdown_preview"
+
+    # Active Storage's route (the dummy app doesn't load Active Storage).
+    def admin_suite_rails_direct_uploads_path = "/rails/active_storage/direct_uploads"
+
+    def render_field(name, resource: Widget.new, **options)
+      config = Admin::Base::Resource::FormConfig.new
+      config.field(name, **options)
+      builder = ActionView::Helpers::FormBuilder.new(:widget, resource, self, {})
+
+      concat render_form_field(builder, config.fields_list.first, resource)
+    end
+
+    def element(selector)
+      css_select(selector).first.tap { |node| assert node, "Expected an element matching #{selector}" }
+    end
+
+    test "code fields pass their language to the code editor" do
+      render_field :snippet, type: :code, language: :ruby
+
+      assert_equal "ruby", element("[data-controller='admin-suite--code-editor']")["data-admin-suite--code-editor-language-value"]
+      assert_select "textarea[name='widget[snippet]'][data-admin-suite--code-editor-target='textarea']"
+    end
+
+    test "json fields pass their schema to the json editor" do
+      schema = { type: "object", required: %w[mode] }
+      render_field :settings, type: :json, schema: schema
+
+      editor = element("[data-controller='admin-suite--json-editor']")
+      assert_equal schema.as_json, JSON.parse(editor["data-admin-suite--json-editor-schema-value"])
+    end
+
+    test "json fields without a schema render no schema value" do
+      render_field :settings, type: :json
+
+      assert_nil element("[data-controller='admin-suite--json-editor']")["data-admin-suite--json-editor-schema-value"]
+    end
+
+    test "markdown fields pass their image upload options to the editor" do
+      render_field :body, type: :markdown, upload_url: "/uploads", max_size: 2.megabytes
+
+      editor = element("[data-controller='admin-suite--markdown-editor']")
+      assert_equal "/uploads", editor["data-admin-suite--markdown-editor-upload-url-value"]
+      assert_equal 2.megabytes.to_s, editor["data-admin-suite--markdown-editor-max-size-value"]
+    end
+
+    test "markdown fields fall back to the configured upload url" do
+      old = AdminSuite.config.markdown_upload_url
+      AdminSuite.config.markdown_upload_url = ->(view) { "/#{view.current_portal}/uploads" }
+
+      render_field :body, type: :markdown
+
+      assert_equal "/ops/uploads", element("[data-controller='admin-suite--markdown-editor']")["data-admin-suite--markdown-editor-upload-url-value"]
+    ensure
+      AdminSuite.config.markdown_upload_url = old
+    end
+
+    test "markdown fields pass their editor options to the editor" do
+      render_field :body, type: :markdown, toolbar: %w[bold italic], status_bar: false, height: "200px", server_preview: true
+
+      editor = element("[data-controller='admin-suite--markdown-editor']")
+      assert_equal %w[bold italic], JSON.parse(editor["data-admin-suite--markdown-editor-toolbar-value"])
+      assert_equal [], JSON.parse(editor["data-admin-suite--markdown-editor-status-value"])
+      assert_equal "200px", editor["data-admin-suite--markdown-editor-min-height-value"]
+      assert_equal "/markdown_preview", editor["data-admin-suite--markdown-editor-preview-url-value"]
+    end
+
+    test "markdown fields keep the editor defaults without options" do
+      render_field :body, type: :markdown
+
+      editor = element("[data-controller='admin-suite--markdown-editor']")
+      assert_nil editor["data-admin-suite--markdown-editor-toolbar-value"]
+      assert_nil editor["data-admin-suite--markdown-editor-status-value"]
+      assert_nil editor["data-admin-suite--markdown-editor-preview-url-value"]
+    end
+
+    test "file fields render the upload widget" do
+      render_field :resume, type: :file, accept: "application/pdf", max_size: 2.megabytes
+
+      assert_select "[data-controller='admin-suite--file-upload'][data-admin-suite--file-upload-accept-value='application/pdf'][data-admin-suite--file-upload-max-size-value='#{2.megabytes}']"
+      assert_select "[data-admin-suite--file-upload-target='dropzone'] input[type='file'][name='widget[resume]'][accept='application/pdf']"
+      assert_select "input[type='file'][multiple]", count: 0
+    end
+
+    test "image fields with editing options open the image editor" do
+      render_field :avatar, type: :image, aspect_ratio: "1:1", max_dimension: 512, quality: 0.8
+
+      upload = element("[data-controller='admin-suite--file-upload']")
+      assert_equal "true", upload["data-admin-suite--file-upload-image-editor-value"]
+      assert_equal "1:1", upload["data-admin-suite--file-upload-aspect-ratio-value"]
+      assert_equal "512", upload["data-admin-suite--file-upload-max-dimension-value"]
+      assert_equal "0.8", upload["data-admin-suite--file-upload-quality-value"]
+      assert_select "[data-admin-suite--file-upload-target='editor']"
+    end
+
+    test "image fields skip the image editor by default" do
+      render_field :avatar, type: :image
+
+      assert_equal "false", element("[data-controller='admin-suite--file-upload']")["data-admin-suite--file-upload-image-editor-value"]
+      assert_select "[data-admin-suite--file-upload-target='editor']", count: 0
+    end
+
+    test "file fields with verify_content ask the upload widget to check file contents" do
+      render_field :resume, type: :file, verify_content: true
+
+      assert_equal "true", element("[data-controller='admin-suite--file-upload']")["data-admin-suite--file-upload-verify-content-value"]
+    end
+
+    test "file fields skip the content check by default" do
+      render_field :resume, type: :file
+
+      assert_equal "false", element("[data-controller='admin-suite--file-upload']")["data-admin-suite--file-upload-verify-content-value"]
+    end
+
+    test "file fields with direct_upload pass the direct upload url" do
+      render_field :recording, type: :file, direct_upload: true
+
+      assert_equal "/rails/active_storage/direct_uploads",
+        element("[data-controller='admin-suite--file-upload']")["data-admin-suite--file-upload-direct-upload-url-value"]
+      assert_select "[data-admin-suite--file-upload-target='progress']"
+    end
+
+    test "file fields upload through the form by default" do
+      render_field :resume, type: :file
+
+      assert_nil element("[data-controller='admin-suite--file-upload']")["data-admin-suite--file-upload-direct-upload-url-value"]
+      assert_select "[data-admin-suite--file-upload-target='progress']", count: 0
+    end
+
+    test "multiple file fields render a multiple upload input" do
+      render_field :documents, type: :file, multiple: true, max_files: 3
+
+      assert_select "[data-controller='admin-suite--file-upload'][data-admin-suite--file-upload-multiple-value='true'][data-admin-suite--file-upload-max-files-value='3']"
+      assert_select "input[type='file'][multiple][name='widget[documents][]']"
+    end
+
+    test "multiple image fields accept images and list the file limit" do
+      render_field :photos, type: :image, multiple: true, max_files: 5
+
+      assert_select "[data-admin-suite--file-upload-multiple-value='true'][data-admin-suite--file-upload-accept-value='image/*']"
+      assert_select "input[type='file'][multiple][accept='image/*'][name='widget[photos][]']"
+      assert_select "span", text: /Up to 5 files/
+    end
+
+    test "multiple searchable selects render a chip for each selected value" do
+      render_field :tag_ids, resource: Widget.new(tag_ids: %w[1]), type: :searchable_select,
+        collection: [ %w[Ruby 1], %w[Go 2] ], multiple: true, max_selections: 3
+
+      select = element("[data-controller='admin-suite--searchable-select']")
+      assert_equal "true", select["data-admin-suite--searchable-select-multiple-value"]
+      assert_equal "3", select["data-admin-suite--searchable-select-max-selections-value"]
+      assert_equal "admin_suite_base_helper_test_widget[tag_ids][]", select["data-admin-suite--searchable-select-field-name-value"]
+      assert_select "[data-admin-suite--searchable-select-target='chip'][data-value='1'][data-label='Ruby'] input[type='hidden'][value='1']"
+      assert_select "[data-admin-suite--searchable-select-target='chip']", count: 1
+    end
+
+    test "searchable selects with a create url pass the inline create form" do
+      render_field :company_id, type: :searchable_select, collection: "/companies/search", create_url: "/companies",
+        create_param: :company, create_fields: [ :name, { name: :website, type: :url, required: true } ]
+
+      select = element("[data-controller='admin-suite--searchable-select']")
+      assert_equal "true", select["data-admin-suite--searchable-select-creatable-value"]
+      assert_equal "/companies", select["data-admin-suite--searchable-select-create-url-value"]
+      assert_equal "company", select["data-admin-suite--searchable-select-create-param-value"]
+      assert_equal [
+        { "name" => "name", "label" => "Name", "type" => "text", "required" => false },
+        { "name" => "website", "label" => "Website", "type" => "url", "required" => true }
+      ], JSON.parse(select["data-admin-suite--searchable-select-create-fields-value"])
+    end
+
+    test "tag fields pass their rules to the tag select" do
+      render_field :topic_list, type: :tags, max_selections: 10, max_length: 30, pattern: /\A[a-z]+\z/, normalize_case: :lower
+
+      select = element("[data-controller='admin-suite--tag-select']")
+      assert_equal "10", select["data-admin-suite--tag-select-max-tags-value"]
+      assert_equal "30", select["data-admin-suite--tag-select-max-length-value"]
+      assert_equal "[a-z]+", select["data-admin-suite--tag-select-pattern-value"]
+      assert_equal "lower", select["data-admin-suite--tag-select-normalize-case-value"]
+      assert_equal "admin_suite_base_helper_test_widget[topic_list][]", select["data-admin-suite--tag-select-field-name-value"]
+    end
+
+    test "inline edit columns build select options once for every row" do
+      calls = 0
+      collection = lambda do
+        calls += 1
+        [ %w[Draft draft], %w[Live live] ]
+      end
+      form = Admin::Base::Resource::FormConfig.new
+      form.field :status, type: :select, collection: collection
+      @resource_config = Struct.new(:form_config).new(form)
+
+      inline = admin_suite_inline_edit_column(Admin::Base::Resource::ColumnDefinition.new(name: :status, editable: true))
+      cells = [ Widget.new(id: 1, status: "draft"), Widget.new(id: 2, status: "live") ].map do |widget|
+        admin_suite_inline_edit_data(widget, inline)
+      end
+
+      assert_equal 1, calls
+      assert_equal %w[/ops/widgets/1 /ops/widgets/2], cells.map { |data| data[:"admin-suite--inline-edit-url-value"] }
+      assert_equal %w[draft live], cells.map { |data| data[:"admin-suite--inline-edit-value-value"] }
+      assert_equal "admin_suite_base_helper_test_widget[status]", cells.first[:"admin-suite--inline-edit-param-value"]
+      assert_equal :select, cells.first[:"admin-suite--inline-edit-type-value"]
+      assert_includes cells.first[:"admin-suite--inline-edit-options-value"], "Draft"
+    end
+
+    test "columns without a matching editable field are not inline editable" do
+      form = Admin::Base::Resource::FormConfig.new
+      form.field :status, type: :select, readonly: true
+      @resource_config = Struct.new(:form_config).new(form)
+
+      assert_nil admin_suite_inline_edit_column(Admin::Base::Resource::ColumnDefinition.new(name: :status, editable: true))
+    end
+
+    test "multi-line and structured fields are not inline editable" do
+      form = Admin::Base::Resource::FormConfig.new
+      form.field :body, type: :textarea
+      form.field :settings, type: :json
+      @resource_config = Struct.new(:form_config).new(form)
+
+      assert_nil admin_suite_inline_edit_column(Admin::Base::Resource::ColumnDefinition.new(name: :body, editable: true))
+      assert_nil admin_suite_inline_edit_column(Admin::Base::Resource::ColumnDefinition.new(name: :settings, editable: true))
+    end
+
+    test "text fields are inline edited as text" do
+      form = Admin::Base::Resource::FormConfig.new
+      form.field :status
+      @resource_config = Struct.new(:form_config).new(form)
+
+      inline = admin_suite_inline_edit_column(Admin::Base::Resource::ColumnDefinition.new(name: :status, editable: true))
+      assert_equal :text, inline[:type]
+    end
+
+    test "columns are not inline editable by default" do
+      form = Admin::Base::Resource::FormConfig.new
+      form.field :status, type: :select, collection: %w[draft live]
+      @resource_config = Struct.new(:form_config).new(form)
+      columns = Admin::Base::Resource::ColumnsBuilder.new
+      columns.column :status
+
+      assert_nil admin_suite_inline_edit_column(columns.columns.first)
+    end
+  end
+end
@@ -0,0 +1,108 @@
+# frozen_string_literal: true
+
+require "test_helper"
+
+module AdminSuite
+  class CollectionActionTest < ActionDispatch::IntegrationTest
+    # Stand-in for an ActiveRecord relation (the dummy app has no database):
+    # keeps the conditions and order applied to it, and remembers the scope
+    # the collection action ran on.
+    class WidgetScope
+      class << self
+        attr_accessor :archived
+      end
+
+      attr_reader :conditions, :ordering
+
+      def initialize(conditions = {}, ordering = nil)
+        @conditions = conditions
+        @ordering = ordering
+      end
+
+      def where(conditions)
+        self.class.new(@conditions.merge(conditions), @ordering)
+      end
+
+      def order(ordering)
+        self.class.new(@conditions, ordering)
+      end
+
+      def archive_all
+        self.class.archived = self
+      end
+    end
+
+    class Widget
+      include ActiveModel::Model
+
+      def self.all
+        WidgetScope.new
+      end
+    end
+  end
+end
+
+module Admin
+  module Resources
+    class CollectionWidgetResource < Admin::Base::Resource
+      model AdminSuite::CollectionActionTest::Widget
+      portal :ops
+
+      index do
+        sortable :name, :created_at, default: :created_at
+
+        filters do
+          filter :status, type: :select, options: %w[active archived]
+        end
+      end
+
+      actions do
+        collection_action :archive_all, label: "Archive all"
+      end
+    end
+  end
+end
+
+# Registered per test only, so other tests' navigation doesn't list it.
+Admin::Base::Resource.registered_resources.delete(Admin::Resources::CollectionWidgetResource)
+
+module AdminSuite
+  class CollectionActionTest
+    setup do
+      Admin::Base::Resource.registered_resources << Admin::Resources::CollectionWidgetResource
+      WidgetScope.archived = nil
+    end
+
+    teardown do
+      Admin::Base::Resource.registered_resources.delete(Admin::Resources::CollectionWidgetResource)
+    end
+
+    test "runs the action on the scope matching the posted filters" do
+      post "/internal/admin_suite/ops/collection_widgets/collection_action/archive_all",
+        params: { status: "active", sort: "name", sort_direction: "asc" }
+
+      assert_redirected_to "/internal/admin_suite/ops/collection_widgets"
+      assert_equal "Archive all completed successfully", flash[:notice]
+
+      scope = WidgetScope.archived
+      assert_equal({ "status" => "active" }, scope.conditions.stringify_keys)
+      assert_equal({ "name" => :asc }, scope.ordering)
+    end
+
+    test "runs the action on the default scope without filters" do
+      post "/internal/admin_suite/ops/collection_widgets/collection_action/archive_all"
+
+      assert_redirected_to "/internal/admin_suite/ops/collection_widgets"
+      assert_empty WidgetScope.archived.conditions
+      assert_equal({ created_at: :desc }, WidgetScope.archived.ordering)
+    end
+
+    test "redirects with an alert for an unknown action" do
+      post "/internal/admin_suite/ops/collection_widgets/collection_action/purge", params: { status: "active" }
+
+      assert_redirected_to "/internal/admin_suite/ops/collection_widgets"
+      assert_equal "Action not found", flash[:alert]
+      assert_nil WidgetScope.archived
+    end
+  end
+end
@@ -28,6 +28,29 @@ module AdminSuite
       assert_includes response.body, "PROGRESS REPORT"
     end
 
+    test "docs pages render with the command palette in the layout" do
+      get "/internal/admin_suite/docs/progress/PROGRESS_REPORT.md"
+      assert_response :success
+
+      assert_includes response.body, 'aria-label="Command palette"'
+      assert_includes response.body, 'data-admin-suite--command-palette-url-value="/internal/admin_suite/command_palette"'
+      assert_includes response.body, 'data-admin-suite--command-palette-items-value="[]"'
+    end
+
+    test "command palette entries list the docs pages" do
+      get "/internal/admin_suite/command_palette"
+      assert_response :success
+
+      items = response.parsed_body
+      assert(items.any? { |item| item["label"] == "Dashboard" && item["group"] == "Navigation" })
+      assert_includes items, {
+        "label" => "Progress Report",
+        "group" => "Docs",
+        "url" => "/internal/admin_suite/docs/progress/PROGRESS_REPORT.md",
+        "hint" => "progress/PROGRESS_REPORT.md"
+      }
+    end
+
     test "docs blocks path traversal" do
       get "/internal/admin_suite/docs/../../secrets.md"
       assert_redirected_to "/internal/admin_suite/docs/"
@@ -0,0 +1,21 @@
+# frozen_string_literal: true
+
+require "test_helper"
+
+module AdminSuite
+  class MarkdownPreviewTest < ActionDispatch::IntegrationTest
+    test "POST /internal/admin_suite/markdown_preview renders markdown as HTML" do
+      post "/internal/admin_suite/markdown_preview", params: { markdown: "# Hello\n\n**bold**" }
+
+      assert_response :success
+      assert_includes response.body, "<strong>bold</strong>"
+      assert_includes response.body, "Hello</h1>"
+    end
+
+    test "markdown preview renders an empty document" do
+      post "/internal/admin_suite/markdown_preview"
+
+      assert_response :success
+    end
+  end
+end
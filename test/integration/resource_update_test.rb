@@ -0,0 +1,89 @@
+# frozen_string_literal: true
+
+require "test_helper"
+
+module AdminSuite
+  class ResourceUpdateTest < ActionDispatch::IntegrationTest
+    # Stand-in for an ActiveRecord model with a `has_one_attached :document`
+    # (the dummy app has no database): remembers the attributes it was
+    # updated with.
+    class Report
+      include ActiveModel::Model
+
+      attr_accessor :id, :title, :document, :updates
+
+      class << self
+        attr_accessor :record
+
+        def model_name = ActiveModel::Name.new(self, nil, "Report")
+        def primary_key = "id"
+        def column_names = %w[id title]
+        def columns_hash = { "id" => Struct.new(:type).new(:integer) }
+        def find(_id) = record
+      end
+
+      def persisted? = true
+
+      def update(attributes)
+        self.updates = attributes.to_h
+        true
+      end
+    end
+  end
+end
+
+module Admin
+  module Resources
+    class UpdateReportResource < Admin::Base::Resource
+      model AdminSuite::ResourceUpdateTest::Report
+      portal :ops
+
+      form do
+        field :title
+        field :document, type: :file
+      end
+    end
+  end
+end
+
+# Registered per test only, so other tests' navigation doesn't list it.
+Admin::Base::Resource.registered_resources.delete(Admin::Resources::UpdateReportResource)
+
+module AdminSuite
+  class ResourceUpdateTest
+    setup do
+      Admin::Base::Resource.registered_resources << Admin::Resources::UpdateReportResource
+      Report.record = Report.new(id: 1, title: "Q1")
+    end
+
+    teardown do
+      Admin::Base::Resource.registered_resources.delete(Admin::Resources::UpdateReportResource)
+    end
+
+    def update_report(params)
+      patch "/internal/admin_suite/ops/update_reports/1", params: params
+    end
+
+    test "keeping the attachment leaves it out of the update" do
+      update_report(report: { title: "Q2" }, admin_suite_attachments: { document: "keep" })
+
+      assert_redirected_to "/internal/admin_suite/ops/update_reports/1"
+      assert_equal({ "title" => "Q2" }, Report.record.updates)
+    end
+
+    test "removing the attachment detaches it" do
+      update_report(report: { title: "Q2" }, admin_suite_attachments: { document: "remove" })
+
+      assert_redirected_to "/internal/admin_suite/ops/update_reports/1"
+      assert_equal({ "title" => "Q2", "document" => nil }, Report.record.updates)
+    end
+
+    test "a newly submitted file wins over a removal" do
+      file = Rack::Test::UploadedFile.new(StringIO.new("%PDF-1.7"), "application/pdf", original_filename: "q2.pdf")
+      update_report(report: { title: "Q2", document: file }, admin_suite_attachments: { document: "remove" })
+
+      assert_redirected_to "/internal/admin_suite/ops/update_reports/1"
+      assert_equal "q2.pdf", Report.record.updates["document"].original_filename
+    end
+  end
+end
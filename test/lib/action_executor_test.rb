@@ -22,6 +22,47 @@ module Admin
         ActionExecutor.handlers_loaded = false
       end
 
+      # Stand-in for an ActiveRecord relation that only supports batches.
+      class BatchedRelation
+        attr_reader :unscoped
+
+        def initialize(records)
+          @records = records
+        end
+
+        def unscope(*)
+          @unscoped = true
+          self
+        end
+
+        def find_each(&block)
+          return enum_for(:find_each) unless block
+
+          @records.each(&block)
+        end
+      end
+
+      test "execute_bulk walks relations in batches and counts the results" do
+        actions = Resource::ActionsConfig.new
+        actions.bulk_action :publish
+        resource_class = Struct.new(:actions_config).new(actions)
+
+        record = Struct.new(:published) do
+          def publish
+            self.published = true
+          end
+        end
+        published = [ record.new, record.new, record.new ]
+        records = BatchedRelation.new(published)
+
+        result = ActionExecutor.new(resource_class, :publish, nil).execute_bulk(records)
+
+        assert records.unscoped
+        assert published.all?(&:published)
+        assert result.success?
+        assert_equal "Successfully processed 3 records", result.message
+      end
+
       test "handlers_loaded flag starts as false" do
         ActionExecutor.handlers_loaded = false
         assert_equal false, ActionExecutor.handlers_loaded
@@ -0,0 +1,23 @@
+# frozen_string_literal: true
+
+require "test_helper"
+
+module Admin
+  module Base
+    class ResourceDslTest < ActiveSupport::TestCase
+      test "preset stores a label and string-keyed params" do
+        config = Resource::IndexConfig.new
+        config.instance_eval do
+          preset :active, params: { status: "active", sort: :name }
+          preset :recent, label: "This week"
+        end
+
+        active, recent = config.presets_list
+        assert_equal "Active", active.label
+        assert_equal({ "status" => "active", "sort" => :name }, active.params)
+        assert_equal "This week", recent.label
+        assert_equal({}, recent.params)
+      end
+    end
+  end
+end